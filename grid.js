@@ -1,23 +1,17 @@
 /**
  * Calendar grid layout and utilities
  * 
- * Grid structure (6 rows × 8 columns):
+ * The board is described by the active layout (see layouts.js), which lists every
+ * calendar square's position, type, label and target metadata. The default is the
+ * classic 6 × 8 board: 12 months in two centered rows, then days 1-31.
  * 
- *   0 1 2 3 4 5 6 7
- * 0   M M M M M M       (Months 1-6, centered)
- * 1   M M M M M M       (Months 7-12, centered)
- * 2 D D D D D D D D     (Days 1-8)
- * 3 D D D D D D D D     (Days 9-16)
- * 4 D D D D D D D D     (Days 17-24)
- * 5 D D D D D D         (Days 25-31)
- * 
- * Total filled squares: 12 months + 31 days = 43
- * Grid size: 48 total squares (6 × 8)
- * Unused squares: 5 (positions [0,0], [0,7], [6,0], [6,7], [6,1] conceptually, but we only have 6 rows)
+ * GRID_ROWS and GRID_COLS are live bindings that follow the active layout.
  */
 
-export const GRID_ROWS = 6;
-export const GRID_COLS = 8;
+import { CLASSIC_LAYOUT } from './layouts.js';
+
+export let GRID_ROWS = CLASSIC_LAYOUT.rows;
+export let GRID_COLS = CLASSIC_LAYOUT.cols;
 
 /**
  * Calendar square types
@@ -25,7 +19,8 @@ export const GRID_COLS = 8;
 export const SQUARE_TYPE = {
   EMPTY: 'empty',
   MONTH: 'month',
-  DAY: 'day'
+  DAY: 'day',
+  WEEKDAY: 'weekday'
 };
 
 /**
@@ -37,86 +32,117 @@ export const MONTH_NAMES = [
 ];
 
 /**
- * Initialize the grid with calendar squares
- * @returns {Array<Array<Object>>} 2D grid where each cell is { type, label, monthIndex?, dayNumber? }
+ * Weekday names (Sunday = 0, Saturday = 6), matching Date.getDay()
  */
-export function initializeGrid() {
-  const grid = Array(GRID_ROWS).fill(null).map(() =>
-    Array(GRID_COLS).fill(null).map(() => ({ type: SQUARE_TYPE.EMPTY }))
-  );
-
-  // Place months (2 rows of 6, centered in columns 1-6)
-  const months = [
-    [0, 1], [0, 2], [0, 3], [0, 4], [0, 5], [0, 6],  // Months 0-5 (Jan-Jun)
-    [1, 1], [1, 2], [1, 3], [1, 4], [1, 5], [1, 6]   // Months 6-11 (Jul-Dec)
-  ];
-  
-  months.forEach((pos, monthIndex) => {
-    const [row, col] = pos;
-    grid[row][col] = {
-      type: SQUARE_TYPE.MONTH,
-      label: MONTH_NAMES[monthIndex].substring(0, 3),
-      monthIndex
-    };
-  });
+export const WEEKDAY_NAMES = [
+  'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'
+];
 
-  // Place days (3 rows of 8 + 1 row of 7)
-  let dayNumber = 1;
-  
-  // Days 1-8 (row 2)
-  for (let col = 0; col < 8; col++) {
-    grid[2][col] = {
-      type: SQUARE_TYPE.DAY,
-      label: dayNumber.toString(),
-      dayNumber
-    };
-    dayNumber++;
-  }
-  
-  // Days 9-16 (row 3)
-  for (let col = 0; col < 8; col++) {
-    grid[3][col] = {
-      type: SQUARE_TYPE.DAY,
-      label: dayNumber.toString(),
-      dayNumber
-    };
-    dayNumber++;
-  }
-  
-  // Days 17-24 (row 4)
-  for (let col = 0; col < 8; col++) {
-    grid[4][col] = {
-      type: SQUARE_TYPE.DAY,
-      label: dayNumber.toString(),
-      dayNumber
-    };
-    dayNumber++;
+/**
+ * Build the grid described by a layout, validating it along the way.
+ * @param {Object} layout - Layout data (see layouts.js)
+ * @returns {Array<Array<Object>>} 2D grid where each cell is { type, label, monthIndex?, dayNumber?, weekday? }
+ * @throws {Error} If the layout is malformed
+ */
+export function parseLayout(layout) {
+  const { id, rows, cols, cells } = layout || {};
+  if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(cols) || cols < 1) {
+    throw new Error(`Layout "${id}" must have positive integer rows and cols`);
   }
-  
-  // Days 25-31 (row 5, columns 0-6)
-  for (let col = 0; col < 7; col++) {
-    grid[5][col] = {
-      type: SQUARE_TYPE.DAY,
-      label: dayNumber.toString(),
-      dayNumber
-    };
-    dayNumber++;
+  if (!Array.isArray(cells)) {
+    throw new Error(`Layout "${id}" must have a cells array`);
   }
 
+  const grid = Array(rows).fill(null).map(() =>
+    Array(cols).fill(null).map(() => ({ type: SQUARE_TYPE.EMPTY }))
+  );
+
+  cells.forEach(cell => {
+    const { row, col, type, label } = cell;
+    if (!Number.isInteger(row) || row < 0 || row >= rows || !Number.isInteger(col) || col < 0 || col >= cols) {
+      throw new Error(`Layout "${id}" has a cell outside the ${rows} × ${cols} grid at ${row},${col}`);
+    }
+    if (grid[row][col].type !== SQUARE_TYPE.EMPTY) {
+      throw new Error(`Layout "${id}" has more than one cell at ${row},${col}`);
+    }
+    if (typeof label !== 'string') {
+      throw new Error(`Layout "${id}" cell at ${row},${col} needs a label`);
+    }
+
+    if (type === SQUARE_TYPE.MONTH) {
+      if (!Number.isInteger(cell.monthIndex) || cell.monthIndex < 0 || cell.monthIndex > 11) {
+        throw new Error(`Layout "${id}" month cell at ${row},${col} needs a monthIndex from 0 to 11`);
+      }
+      grid[row][col] = { type, label, monthIndex: cell.monthIndex };
+    } else if (type === SQUARE_TYPE.DAY) {
+      if (!Number.isInteger(cell.dayNumber) || cell.dayNumber < 1 || cell.dayNumber > 31) {
+        throw new Error(`Layout "${id}" day cell at ${row},${col} needs a dayNumber from 1 to 31`);
+      }
+      grid[row][col] = { type, label, dayNumber: cell.dayNumber };
+    } else if (type === SQUARE_TYPE.WEEKDAY) {
+      if (!Number.isInteger(cell.weekday) || cell.weekday < 0 || cell.weekday > 6) {
+        throw new Error(`Layout "${id}" weekday cell at ${row},${col} needs a weekday from 0 to 6`);
+      }
+      grid[row][col] = { type, label, weekday: cell.weekday };
+    } else {
+      throw new Error(`Layout "${id}" cell at ${row},${col} has unknown type "${type}"`);
+    }
+  });
+
   return grid;
 }
 
+// Active layout and its parsed grid (shared, read-only - initializeGrid() hands out copies)
+let activeLayout = CLASSIC_LAYOUT;
+let activeGrid = parseLayout(CLASSIC_LAYOUT);
+
+/**
+ * Switch the board to a different layout. Updates GRID_ROWS and GRID_COLS.
+ * @param {Object} layout - Layout data (see layouts.js)
+ * @throws {Error} If the layout is malformed (the active layout is left unchanged)
+ */
+export function setActiveLayout(layout) {
+  const grid = parseLayout(layout);
+  activeLayout = layout;
+  activeGrid = grid;
+  GRID_ROWS = layout.rows;
+  GRID_COLS = layout.cols;
+}
+
+/**
+ * Get the active layout
+ * @returns {Object} Layout data (see layouts.js)
+ */
+export function getActiveLayout() {
+  return activeLayout;
+}
+
+/**
+ * Check if the active layout has weekday squares (making the weekday a third target)
+ * @returns {boolean}
+ */
+export function hasWeekdaySquares() {
+  return activeGrid.some(row => row.some(square => square.type === SQUARE_TYPE.WEEKDAY));
+}
+
+/**
+ * Initialize the grid with calendar squares from the active layout
+ * @returns {Array<Array<Object>>} 2D grid where each cell is { type, label, monthIndex?, dayNumber?, weekday? }
+ */
+export function initializeGrid() {
+  return activeGrid.map(row => row.map(square => ({ ...square })));
+}
+
 /**
  * Get all calendar square positions as an array
  * @returns {Array<[row, col, square]>} Array of [row, col, square] tuples
  */
 export function getAllSquares() {
-  const grid = initializeGrid();
   const squares = [];
   
   for (let row = 0; row < GRID_ROWS; row++) {
     for (let col = 0; col < GRID_COLS; col++) {
-      const square = grid[row][col];
+      const square = activeGrid[row][col];
       if (square.type !== SQUARE_TYPE.EMPTY) {
         squares.push([row, col, square]);
       }
@@ -126,6 +152,17 @@ export function getAllSquares() {
   return squares;
 }
 
+/**
+ * Count the squares a solution must cover: every calendar square except one target
+ * per target type on the board (month, day and, on weekday boards, weekday)
+ * @returns {number} Number of squares to cover
+ */
+export function getSquaresToCoverCount() {
+  const squares = getAllSquares();
+  const targetTypes = new Set(squares.map(([, , square]) => square.type));
+  return squares.length - targetTypes.size;
+}
+
 /**
  * Get grid square at a specific position
  * @param {number} row - Row index
@@ -136,8 +173,7 @@ export function getSquare(row, col) {
   if (row < 0 || row >= GRID_ROWS || col < 0 || col >= GRID_COLS) {
     return null;
   }
-  const grid = initializeGrid();
-  const square = grid[row][col];
+  const square = activeGrid[row][col];
   return square.type === SQUARE_TYPE.EMPTY ? null : square;
 }
 
@@ -172,6 +208,19 @@ export function pieceToGridCoords(pieceCoords, gridRow, gridCol) {
   return pieceCoords.map(([x, y]) => [gridRow + y, gridCol + x]);
 }
 
+/**
+ * Check if a square is one of the current date squares (which must stay uncovered).
+ * That is the month and day, plus the weekday on layouts that have weekday squares.
+ * @param {Object} square - Square object from the grid
+ * @param {Object} currentDate - Current date { monthIndex, dayNumber, weekday? }
+ * @returns {boolean}
+ */
+export function isCurrentDateSquare(square, currentDate) {
+  return (square.type === SQUARE_TYPE.MONTH && square.monthIndex === currentDate.monthIndex) ||
+         (square.type === SQUARE_TYPE.DAY && square.dayNumber === currentDate.dayNumber) ||
+         (square.type === SQUARE_TYPE.WEEKDAY && square.weekday === currentDate.weekday);
+}
+
 /**
  * Check if a piece placement would collide with existing pieces or go out of bounds
  * @param {Array} pieceCoords - Array of [row, col] grid coordinates
@@ -180,8 +229,6 @@ export function pieceToGridCoords(pieceCoords, gridRow, gridCol) {
  * @returns {boolean} true if placement is valid
  */
 export function isValidPlacement(pieceCoords, occupiedSquares, currentDate) {
-  const grid = initializeGrid();
-
   return pieceCoords.every(([row, col]) => {
     // Must be on a valid calendar square
     if (!isValidGridPosition(row, col)) {
@@ -192,14 +239,7 @@ export function isValidPlacement(pieceCoords, occupiedSquares, currentDate) {
       return false;
     }
     // Must not cover the current date squares
-    const square = grid[row][col];
-    if (square.type === SQUARE_TYPE.MONTH && square.monthIndex === currentDate.monthIndex) {
-      return false;
-    }
-    if (square.type === SQUARE_TYPE.DAY && square.dayNumber === currentDate.dayNumber) {
-      return false;
-    }
-    return true;
+    return !isCurrentDateSquare(activeGrid[row][col], currentDate);
   });
 }
 
@@ -219,17 +259,96 @@ export function getRenderGrid() {
 }
 
 /**
- * Get the current date as month and day
- * @returns {Object} { monthIndex, dayNumber }
+ * Get the current date as month, day and weekday
+ * @returns {Object} { monthIndex, dayNumber, year, weekday }
  */
 export function getCurrentDate() {
   const now = new Date();
   return {
     monthIndex: now.getMonth(),       // 0-11
-    dayNumber: now.getDate()          // 1-31
+    dayNumber: now.getDate(),         // 1-31
+    year: now.getFullYear(),
+    weekday: now.getDay()             // 0-6, Sunday=0
   };
 }
 
+/**
+ * Get the day of the week a date falls on
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Month index (0-11)
+ * @param {number} dayNumber - Day of month (1-31)
+ * @returns {number} Weekday (0-6, Sunday=0)
+ */
+export function getWeekday(year, monthIndex, dayNumber) {
+  return new Date(year, monthIndex, dayNumber).getDay();
+}
+
+/**
+ * Get the number of days in a month (February counts as 29 so leap days are playable)
+ * @param {number} monthIndex - Month index (0-11)
+ * @returns {number} Days in the month
+ */
+export function getDaysInMonth(monthIndex) {
+  return new Date(2024, monthIndex + 1, 0).getDate();
+}
+
+/**
+ * Find the most recent year (up to and including today's) in which a month/day occurred
+ * @param {number} monthIndex - Month index (0-11)
+ * @param {number} dayNumber - Day of month (1-31)
+ * @param {Object} [today] - Reference date { monthIndex, dayNumber, year }
+ * @returns {number} Full year
+ */
+export function getMostRecentYear(monthIndex, dayNumber, today = getCurrentDate()) {
+  const isLaterThisYear = monthIndex > today.monthIndex ||
+    (monthIndex === today.monthIndex && dayNumber > today.dayNumber);
+  let year = isLaterThisYear ? today.year - 1 : today.year;
+
+  // Feb 29 only exists in leap years
+  while (new Date(year, monthIndex, dayNumber).getMonth() !== monthIndex) {
+    year--;
+  }
+  return year;
+}
+
+/**
+ * Parse a "MM-DD" date string, as used by the ?date= URL parameter.
+ * The year is the most recent one in which that date occurred.
+ * @param {string|null} value - Date string such as "03-14"
+ * @returns {Object|null} { monthIndex, dayNumber, year, weekday } or null if missing or not a real calendar date
+ */
+export function parseDateParam(value) {
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(value || '');
+  if (!match) return null;
+
+  const monthIndex = Number(match[1]) - 1;
+  const dayNumber = Number(match[2]);
+  if (monthIndex < 0 || monthIndex > 11 || dayNumber < 1 || dayNumber > getDaysInMonth(monthIndex)) {
+    return null;
+  }
+  const year = getMostRecentYear(monthIndex, dayNumber);
+  return { monthIndex, dayNumber, year, weekday: getWeekday(year, monthIndex, dayNumber) };
+}
+
+/**
+ * Format a date as a "MM-DD" string for the ?date= URL parameter
+ * @param {Object} date - { monthIndex, dayNumber }
+ * @returns {string} Date string such as "03-14"
+ */
+export function formatDateParam(date) {
+  return `${String(date.monthIndex + 1).padStart(2, '0')}-${String(date.dayNumber).padStart(2, '0')}`;
+}
+
+/**
+ * Check if two dates refer to the same month and day
+ * @param {Object} a - { monthIndex, dayNumber }
+ * @param {Object} b - { monthIndex, dayNumber }
+ * @returns {boolean}
+ */
+export function isSameDate(a, b) {
+  return a.monthIndex === b.monthIndex && a.dayNumber === b.dayNumber;
+}
+
 /**
  * Find grid position of a specific month
  * @param {number} monthIndex - Month index (0-11)
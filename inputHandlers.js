@@ -1,11 +1,12 @@
 // inputHandlers.js - Input event handling for the polyomino calendar game
 // Setup functions that attach event listeners with injected dependencies
 
-import { pieceToGridCoords, isValidPlacement } from './grid.js';
-import { getPiece } from './pieces.js';
+import { GRID_ROWS, GRID_COLS, pieceToGridCoords, isValidPlacement, isValidGridPosition } from './grid.js';
+import { pieces, getPiece } from './pieces.js';
 import { placePiece, removePiece, checkWinCondition } from './gameLogic.js';
 import { saveGameState } from './storage.js';
 import { getPieceCenter } from './renderer.js';
+import { describePlacement } from './textRenderer.js';
 
 /**
  * Trigger haptic feedback on supported devices.
@@ -52,7 +53,17 @@ export function getCanvasCoords(canvas, clientX, clientY) {
  */
 export function getPlacedPieceAtPosition(canvasX, canvasY, placedPieces, getGridPosFn) {
     const { row, col } = getGridPosFn(canvasX, canvasY);
+    return getPlacedPieceAtCell(row, col, placedPieces);
+}
 
+/**
+ * Find which placed piece covers a grid cell.
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {Map} placedPieces - Map of placed pieces
+ * @returns {string|null} Piece name or null if none found
+ */
+export function getPlacedPieceAtCell(row, col, placedPieces) {
     for (const [pieceName, placement] of placedPieces) {
         const piece = getPiece(pieceName);
         const coords = piece.orientations[placement.orientationIndex];
@@ -67,9 +78,112 @@ export function getPlacedPieceAtPosition(canvasX, canvasY, placedPieces, getGrid
 }
 
 /**
- * Setup canvas mouse/pointer event handlers.
+ * Where the selected piece would go if centered on a grid cell (as the preview draws it).
+ * @param {Object} gameState - Game state with selectedPiece and selectedOrientation
+ * @param {number} row - Grid row under the cursor
+ * @param {number} col - Grid column under the cursor
+ * @returns {{row: number, col: number, gridCoords: Array}} Piece origin and the cells it covers
+ */
+function getCenteredPlacement(gameState, row, col) {
+    const piece = getPiece(gameState.selectedPiece);
+    const coords = piece.orientations[gameState.selectedOrientation];
+    const [centerX, centerY] = getPieceCenter(coords);
+    const adjustedRow = row - centerY;
+    const adjustedCol = col - centerX;
+    return { row: adjustedRow, col: adjustedCol, gridCoords: pieceToGridCoords(coords, adjustedRow, adjustedCol) };
+}
+
+/**
+ * Shake the board (and tell screen readers) to show a placement was rejected.
+ * @param {Object} deps - Dependencies (see setupPointerHandlers)
+ */
+function rejectPlacement(deps) {
+    const { canvas, gameState } = deps;
+    deps.announce?.(`${gameState.selectedPiece} does not fit there`);
+    triggerHaptic('error');
+    canvas.classList.add('shake');
+    setTimeout(() => canvas.classList.remove('shake'), 400);
+}
+
+/**
+ * Pick a placed piece up off the board, keeping its orientation, so it can be moved.
+ * @param {Object} deps - Dependencies (see setupPointerHandlers)
+ * @param {string} pieceName - Placed piece to pick up
+ */
+function pickUpPiece(deps, pieceName) {
+    const { gameState, gameModel, selectPiece, updatePieceTrayUI, draw } = deps;
+
+    // Save the orientation before removing the piece
+    const placement = gameModel.placedPieces.get(pieceName);
+    const savedOrientation = placement ? placement.orientationIndex : 0;
+
+    selectPiece(pieceName);
+
+    // Restore the orientation after selectPiece (which resets it to 0)
+    gameState.selectedOrientation = savedOrientation;
+
+    deps.resetPreviewPosition?.();
+
+    removePiece(gameModel, pieceName);
+    updatePieceTrayUI();
+    draw();
+}
+
+/**
+ * Rotate the selected piece counter-clockwise, announcing it like rotateClockwise() does.
+ * The caller redraws.
+ * @param {Object} deps - Dependencies (see setupPointerHandlers)
+ */
+function rotateCounterClockwise(deps) {
+    const { gameState } = deps;
+    const piece = getPiece(gameState.selectedPiece);
+    gameState.selectedOrientation = (gameState.selectedOrientation - 1 + piece.orientations.length) % piece.orientations.length;
+    deps.announce?.(`${gameState.selectedPiece} rotated, orientation ${gameState.selectedOrientation + 1} of ${piece.orientations.length}`);
+    deps.resetPreviewPosition?.();
+    triggerHaptic('medium');
+}
+
+/**
+ * Lock the selected piece onto the board and run the post-placement checks.
+ * @param {Object} deps - Dependencies (see setupPointerHandlers)
+ * @param {number} row - Grid row for the piece origin
+ * @param {number} col - Grid column for the piece origin
+ */
+function lockSelectedPiece(deps, row, col) {
+    const { gameState, gameModel, currentDate, draw, updatePieceTrayUI, showWinMessage, onPiecePlaced } = deps;
+
+    placePiece(gameModel, gameState.selectedPiece, row, col, gameState.selectedOrientation);
+    deps.announce?.(describePlacement(gameModel, gameState.selectedPiece));
+
+    document.getElementById(`piece-${gameState.selectedPiece}`).classList.remove('selected');
+    gameState.selectedPiece = null;
+    document.getElementById('selectedPiece').textContent = 'None';
+
+    triggerHaptic('success');
+    onPiecePlaced?.();
+    updatePieceTrayUI();
+
+    if (checkWinCondition(gameModel, currentDate)) {
+        triggerHaptic('complete');
+        showWinMessage();
+    }
+
+    saveGameState(gameModel, currentDate);
+    draw();
+}
+
+/**
+ * Setup pointer event handlers for the canvas and the piece tray.
+ * Mouse, pen and touch share one code path:
+ * - Press a tray piece and drag it over the board for a live preview; release to place it,
+ *   or release off the board to return it to the tray
+ * - Press a placed piece to pick it up, and drag to move it (off the board returns it to the tray)
+ * - With a piece in hand, click to place it; on touch, tap once to preview and tap the same spot to place
+ * - On touch, with a piece in hand, swipe left/right on the board to rotate and swipe up to flip
+ * - While dragging on a touch screen, tap with a second finger to rotate
  * @param {Object} deps - Dependencies
  * @param {HTMLCanvasElement} deps.canvas - Canvas element
+ * @param {HTMLElement} deps.pieceTray - Container of the tray's .piece-item elements (ids "piece-<name>")
  * @param {Object} deps.gameState - Game state object (for reading/writing)
  * @param {Object} deps.gameModel - Game model (domain state)
  * @param {Object} deps.currentDate - Current date object
@@ -77,156 +191,263 @@ export function getPlacedPieceAtPosition(canvasX, canvasY, placedPieces, getGrid
  * @param {Function} deps.draw - Draw function
  * @param {Function} deps.selectPiece - Piece selection function
  * @param {Function} deps.deselectPiece - Piece deselection function
+ * @param {Function} deps.rotateClockwise - Rotation function
+ * @param {Function} deps.flipPiece - Flip function
  * @param {Function} deps.updatePieceTrayUI - UI update function
  * @param {Function} deps.showWinMessage - Win message function
+ * @param {Function} [deps.onPiecePlaced] - Called after a piece is locked (e.g. to start the timer)
+ * @param {Function} [deps.announce] - Speaks a message to screen readers (placements, rejections, cursor moves)
  */
-export function setupCanvasMouseHandlers(deps) {
+export function setupPointerHandlers(deps) {
     const {
-        canvas, gameState, gameModel, currentDate, getGridPos,
-        draw, selectPiece, deselectPiece, updatePieceTrayUI,
-        showWinMessage
+        canvas, pieceTray, gameState, currentDate, getGridPos,
+        draw, selectPiece, deselectPiece, rotateClockwise, flipPiece
     } = deps;
 
+    const DRAG_THRESHOLD = 6; // Pixels a press must move to become a drag
+    const CLICK_SUPPRESS_MS = 100; // Swallow the click that follows a drag from the tray
+    const SWIPE_THRESHOLD = 50;
+    const SWIPE_TIME_THRESHOLD = 500;
+
     // Throttle state
     let lastDrawTime = 0;
     const DRAW_THROTTLE_MS = 16;
 
-    // Touch movement tracking (shared with touch handlers)
-    let touchMoved = false;
-    let lastInteractionWasTouch = false; // Track if last interaction was touch vs mouse
+    // The press being tracked: { pointerId, pointerType, startX, startY, startTime, startMousePos, source, pieceName, isDragging }
+    // source is 'tray' (unplaced tray piece), 'board' (placed piece just picked up) or 'hand' (piece already selected)
+    let press = null;
+    let suppressClickUntil = 0;
 
-    // Track preview position for tap-in-place confirmation (mobile only)
+    // Track preview position for tap-in-place confirmation (touch only)
     let previewRow = null;
     let previewCol = null;
 
-    // Expose touchMoved setter for touch handlers
-    deps.setTouchMoved = (value) => { touchMoved = value; };
-    deps.getTouchMoved = () => touchMoved;
-
-    // Expose flag to indicate touch interaction
-    deps.setLastInteractionTouch = (value) => { lastInteractionWasTouch = value; };
-
     // Expose preview position reset for rotation/flip/deselect
     deps.resetPreviewPosition = () => {
         previewRow = null;
         previewCol = null;
     };
 
-    // Mouse move handler
-    canvas.addEventListener('mousemove', (e) => {
-        lastInteractionWasTouch = false; // Mark as mouse interaction
-        const coords = getCanvasCoords(canvas, e.clientX, e.clientY);
-        gameState.mousePos = coords;
+    function updatePointerPosition(e) {
+        gameState.mousePos = getCanvasCoords(canvas, e.clientX, e.clientY);
+        gameState.keyboardCursor = null; // The pointer takes over from the keyboard cursor
+    }
 
+    function throttledDraw() {
         const now = Date.now();
         if (now - lastDrawTime >= DRAW_THROTTLE_MS) {
             draw();
             lastDrawTime = now;
         }
-    });
+    }
 
-    // Click handler
-    canvas.addEventListener('click', (e) => {
-        const { x: canvasX, y: canvasY } = getCanvasCoords(canvas, e.clientX, e.clientY);
+    function returnToTray() {
+        const pieceName = gameState.selectedPiece;
+        deselectPiece();
+        deps.announce?.(`${pieceName} returned to the tray`);
+        triggerHaptic('short');
+    }
 
-        // On touch devices, allow taps within the same grid square even if finger moved slightly
-        // (Swipe gestures are handled separately in touchend and don't trigger click events)
-        if (touchMoved) {
-            touchMoved = false;
-            // Don't return - allow tap-in-place logic to work
+    // Drop the dragged piece: place it, put it back in the tray, or keep it in hand if it does not fit
+    function dropPiece() {
+        const { row, col } = getGridPos(gameState.mousePos.x, gameState.mousePos.y);
+        // Outside the grid or on one of its unused cells
+        if (!isValidGridPosition(row, col)) {
+            returnToTray();
+            return;
         }
 
-        // Check if clicking on an already placed piece
-        const clickedPiece = getPlacedPieceAtPosition(canvasX, canvasY, gameState.placedPieces, getGridPos);
-        if (clickedPiece && !gameState.selectedPiece) {
-            // Save the orientation before removing the piece
-            const placement = gameModel.placedPieces.get(clickedPiece);
-            const savedOrientation = placement ? placement.orientationIndex : 0;
-
-            selectPiece(clickedPiece);
-
-            // Restore the orientation after selectPiece (which resets it to 0)
-            gameState.selectedOrientation = savedOrientation;
-
-            // Reset preview position when picking up a piece
+        const placement = getCenteredPlacement(gameState, row, col);
+        if (isValidPlacement(placement.gridCoords, gameState.occupiedSquares, currentDate)) {
             previewRow = null;
             previewCol = null;
+            lockSelectedPiece(deps, placement.row, placement.col);
+        } else {
+            rejectPlacement(deps);
+            draw();
+        }
+    }
+
+    // Click or tap with a piece in hand
+    function tapPiece(e) {
+        const { row, col } = getGridPos(gameState.mousePos.x, gameState.mousePos.y);
+        const placement = getCenteredPlacement(gameState, row, col);
+
+        if (!isValidPlacement(placement.gridCoords, gameState.occupiedSquares, currentDate)) {
+            rejectPlacement(deps);
+            return;
+        }
 
-            removePiece(gameModel, clickedPiece);
-            updatePieceTrayUI();
+        // Touch: the first tap previews (the finger hides the piece), a second tap on the same spot locks
+        // Mouse and pen: lock immediately on the first click
+        if (e.pointerType === 'touch' && (previewRow !== placement.row || previewCol !== placement.col)) {
+            previewRow = placement.row;
+            previewCol = placement.col;
+            triggerHaptic('short');
             draw();
             return;
         }
 
-        if (!gameState.selectedPiece) return;
+        previewRow = null;
+        previewCol = null;
+        lockSelectedPiece(deps, placement.row, placement.col);
+    }
 
-        const { row, col } = getGridPos(canvasX, canvasY);
-        const piece = getPiece(gameState.selectedPiece);
-        const coords = piece.orientations[gameState.selectedOrientation];
+    // Quick flick with a piece in hand: swipe right rotates counter-clockwise, left clockwise, up flips.
+    // Returns false if the press was not a swipe.
+    function handleSwipe(e, endedPress) {
+        if (Date.now() - endedPress.startTime > SWIPE_TIME_THRESHOLD) return false;
 
-        const [centerX, centerY] = getPieceCenter(coords);
-        const adjustedRow = row - centerY;
-        const adjustedCol = col - centerX;
+        const deltaX = e.clientX - endedPress.startX;
+        const deltaY = e.clientY - endedPress.startY;
+        const absDeltaX = Math.abs(deltaX);
+        const absDeltaY = Math.abs(deltaY);
 
-        const gridCoords = pieceToGridCoords(coords, adjustedRow, adjustedCol);
+        if (absDeltaX > SWIPE_THRESHOLD && absDeltaX > absDeltaY) {
+            if (deltaX > 0) {
+                rotateCounterClockwise(deps);
+            } else {
+                rotateClockwise();
+            }
+        } else if (absDeltaY > SWIPE_THRESHOLD && absDeltaY > absDeltaX) {
+            if (deltaY < 0) {
+                flipPiece();
+            }
+        } else {
+            return false;
+        }
 
-        if (isValidPlacement(gridCoords, gameState.occupiedSquares, currentDate)) {
-            // Use tap-in-place confirmation ONLY for touch devices
-            // Desktop/mouse clicks lock immediately on first click
-            const useTapInPlace = lastInteractionWasTouch;
+        // Keep the piece where the swipe started rather than where the finger ended
+        gameState.mousePos = { ...endedPress.startMousePos };
+        draw();
+        return true;
+    }
 
-            let shouldLock = false;
+    function startPress(e, source, pieceName) {
+        press = {
+            pointerId: e.pointerId,
+            pointerType: e.pointerType,
+            startX: e.clientX,
+            startY: e.clientY,
+            startTime: Date.now(),
+            startMousePos: { ...gameState.mousePos },
+            source,
+            pieceName,
+            isDragging: false
+        };
+        window.addEventListener('pointerdown', onSecondPointerDown);
+        window.addEventListener('pointermove', onPressMove);
+        window.addEventListener('pointerup', onPressEnd);
+        window.addEventListener('pointercancel', onPressEnd);
+    }
 
-            if (useTapInPlace) {
-                // Mobile: Check if tapping in the same location (tap-in-place confirmation)
-                const isSameLocation = (previewRow === adjustedRow && previewCol === adjustedCol);
+    function endPress() {
+        press = null;
+        window.removeEventListener('pointerdown', onSecondPointerDown);
+        window.removeEventListener('pointermove', onPressMove);
+        window.removeEventListener('pointerup', onPressEnd);
+        window.removeEventListener('pointercancel', onPressEnd);
+    }
 
-                if (isSameLocation) {
-                    shouldLock = true;
-                } else {
-                    // Just update preview position (don't lock)
-                    previewRow = adjustedRow;
-                    previewCol = adjustedCol;
-                    triggerHaptic('short');
-                    draw();
-                }
-            } else {
-                // Desktop: Lock immediately on first click
-                shouldLock = true;
+    // A second finger tapping while the first one drags rotates the piece
+    function onSecondPointerDown(e) {
+        if (e.pointerId !== press.pointerId && e.pointerType === 'touch' && press.isDragging) {
+            e.preventDefault();
+            rotateClockwise();
+        }
+    }
+
+    function onPressMove(e) {
+        if (e.pointerId !== press.pointerId) return;
+        updatePointerPosition(e);
+
+        if (!press.isDragging && Math.hypot(e.clientX - press.startX, e.clientY - press.startY) >= DRAG_THRESHOLD) {
+            press.isDragging = true;
+            if (press.source === 'tray' && gameState.selectedPiece !== press.pieceName) {
+                selectPiece(press.pieceName);
+                triggerHaptic('short');
             }
+            previewRow = null;
+            previewCol = null;
+        }
+        throttledDraw();
+    }
+
+    function onPressEnd(e) {
+        if (e.pointerId !== press.pointerId) return;
+        const endedPress = press;
+        const { source, isDragging } = endedPress;
+        endPress();
 
-            if (shouldLock) {
-                // Lock the piece
-                placePiece(gameModel, gameState.selectedPiece, adjustedRow, adjustedCol, gameState.selectedOrientation);
+        if (e.type === 'pointercancel') {
+            draw();
+            return;
+        }
+        updatePointerPosition(e);
 
-                document.getElementById(`piece-${gameState.selectedPiece}`).classList.remove('selected');
-                gameState.selectedPiece = null;
-                document.getElementById('selectedPiece').textContent = 'None';
+        if (source === 'tray') {
+            // A plain tap on a tray piece is left to its click handler
+            if (isDragging) {
+                suppressClickUntil = performance.now() + CLICK_SUPPRESS_MS;
+                dropPiece();
+            }
+        } else if (isDragging) {
+            // On touch, a quick flick of the piece in hand rotates or flips it instead of moving it
+            const isSwipe = source === 'hand' && e.pointerType === 'touch' && handleSwipe(e, endedPress);
+            if (!isSwipe) {
+                dropPiece();
+            }
+        } else if (source === 'hand') {
+            tapPiece(e);
+        }
+        // A tap on a placed piece ('board') just leaves it picked up, in hand
+    }
 
-                // Reset preview position
-                previewRow = null;
-                previewCol = null;
+    // Press on the board: pick up a placed piece, or start placing the piece in hand
+    canvas.addEventListener('pointerdown', (e) => {
+        if (press || e.button !== 0) return;
+        updatePointerPosition(e);
+
+        const pressedPiece = getPlacedPieceAtPosition(gameState.mousePos.x, gameState.mousePos.y, gameState.placedPieces, getGridPos);
+        if (pressedPiece && !gameState.selectedPiece) {
+            pickUpPiece(deps, pressedPiece);
+            startPress(e, 'board', pressedPiece);
+        } else if (gameState.selectedPiece) {
+            startPress(e, 'hand', gameState.selectedPiece);
+            draw();
+        }
+    });
 
-                triggerHaptic('success');
-                updatePieceTrayUI();
+    // Press on an unplaced tray piece: becomes a drag once it moves
+    pieceTray.addEventListener('pointerdown', (e) => {
+        if (press || e.button !== 0) return;
+        const item = e.target.closest('.piece-item');
+        if (!item) return;
 
-                if (checkWinCondition(gameModel, currentDate)) {
-                    triggerHaptic('complete');
-                    showWinMessage();
-                }
+        const pieceName = item.id.slice('piece-'.length);
+        if (!gameState.placedPieces.has(pieceName)) {
+            startPress(e, 'tray', pieceName);
+        }
+    });
 
-                saveGameState(gameModel, currentDate);
-                draw();
-            }
-        } else {
-            triggerHaptic('error');
-            canvas.classList.add('shake');
-            setTimeout(() => canvas.classList.remove('shake'), 400);
+    // The click that ends a drag from the tray must not toggle the tray selection
+    pieceTray.addEventListener('click', (e) => {
+        if (performance.now() < suppressClickUntil) {
+            e.stopPropagation();
+            e.preventDefault();
         }
+    }, true);
+
+    // Hover preview for mouse and pen
+    canvas.addEventListener('pointermove', (e) => {
+        if (press || e.pointerType === 'touch') return;
+        updatePointerPosition(e);
+        throttledDraw();
     });
 
-    // Mouse leave handler
-    canvas.addEventListener('mouseleave', (e) => {
+    // Mouse leave handler (touch pointers "leave" on every lift, so they keep their preview)
+    canvas.addEventListener('pointerleave', (e) => {
+        if (press || e.pointerType === 'touch') return;
         gameState.mousePos = { x: -1000, y: -1000 };
 
         const relatedTarget = e.relatedTarget;
@@ -245,173 +466,126 @@ export function setupCanvasMouseHandlers(deps) {
 }
 
 /**
- * Setup canvas touch/gesture event handlers.
- * @param {Object} deps - Dependencies (same as setupCanvasMouseHandlers plus rotation functions)
- * @param {Function} deps.rotateClockwise - Rotation function
- * @param {Function} deps.flipPiece - Flip function
+ * Setup keyboard event handlers, including keyboard-only play with a board cursor:
+ * 1-9 or Tab select tray pieces, arrow keys move the cursor (the selected piece's center),
+ * Enter locks the piece and Escape picks up the piece under the cursor.
+ * @param {Object} deps - Dependencies (same as setupPointerHandlers)
+ * @param {Function} deps.undo - Undo the last move and refresh the UI
+ * @param {Function} deps.redo - Redo the last undone move and refresh the UI
  */
-export function setupCanvasTouchHandlers(deps) {
-    const { canvas, gameState, gameModel, currentDate, draw, rotateClockwise, flipPiece, updatePieceTrayUI, showWinMessage, getGridPos } = deps;
-
-    let touchStartX = 0;
-    let touchStartY = 0;
-    let touchStartTime = 0;
-    let touchStartMousePos = null; // Save mouse position at touch start
-    let longPressTimeout = null; // Timeout for long press detection
-    let longPressTriggered = false; // Flag to prevent double-locking
-    const SWIPE_THRESHOLD = 50;
-    const SWIPE_TIME_THRESHOLD = 500;
-    const LONG_PRESS_DURATION = 500; // 500ms for long press
-    const LONG_PRESS_MOVE_THRESHOLD = 10; // Max movement allowed during long press
-
-    // Throttle state for touch rendering
-    let lastTouchDrawTime = 0;
-    const TOUCH_DRAW_THROTTLE_MS = 16; // 60fps
+export function setupKeyboardHandlers(deps) {
+    const {
+        canvas, gameState, gameModel, currentDate, getGridPos,
+        draw, rotateClockwise, flipPiece, selectPiece, deselectPiece, updatePieceTrayUI, undo, redo
+    } = deps;
 
-    canvas.addEventListener('touchstart', (e) => {
-        if (!gameState.selectedPiece) return;
+    const ARROW_MOVES = {
+        ArrowUp: [-1, 0],
+        ArrowDown: [1, 0],
+        ArrowLeft: [0, -1],
+        ArrowRight: [0, 1]
+    };
 
-        // Prevent scrolling when a piece is selected
-        e.preventDefault();
+    // Show the keyboard cursor, starting where the mouse was (or mid-board)
+    function ensureKeyboardCursor() {
+        if (gameState.keyboardCursor) return;
+        const { row, col } = getGridPos(gameState.mousePos.x, gameState.mousePos.y);
+        const onBoard = row >= 0 && row < GRID_ROWS && col >= 0 && col < GRID_COLS;
+        gameState.keyboardCursor = onBoard ? { row, col } : { row: Math.floor(GRID_ROWS / 2), col: Math.floor(GRID_COLS / 2) };
+    }
 
-        const touch = e.touches[0];
-        touchStartX = touch.clientX;
-        touchStartY = touch.clientY;
-        touchStartTime = Date.now();
-        deps.setTouchMoved?.(false);
-        deps.setLastInteractionTouch?.(true); // Mark this as a touch interaction
-        longPressTriggered = false;
-
-        // Update mouse position to touch position for rendering
-        const coords = getCanvasCoords(canvas, touch.clientX, touch.clientY);
-        gameState.mousePos = coords;
-        touchStartMousePos = { ...coords }; // Save initial mouse position
+    function selectFromTray(pieceName) {
+        if (gameState.selectedPiece !== pieceName) {
+            selectPiece(pieceName);
+            triggerHaptic('short');
+        }
+        ensureKeyboardCursor();
         draw();
+    }
 
-        // Set up long press timeout to lock piece
-        clearTimeout(longPressTimeout);
-        longPressTimeout = setTimeout(() => {
-            if (!gameState.selectedPiece) return;
-
-            // Check if piece can be placed at current position
-            const { row, col } = getGridPos(gameState.mousePos.x, gameState.mousePos.y);
-            const piece = getPiece(gameState.selectedPiece);
-            const coords = piece.orientations[gameState.selectedOrientation];
-            const [centerX, centerY] = getPieceCenter(coords);
-            const adjustedRow = row - centerY;
-            const adjustedCol = col - centerX;
-            const gridCoords = pieceToGridCoords(coords, adjustedRow, adjustedCol);
-
-            if (isValidPlacement(gridCoords, gameState.occupiedSquares, currentDate)) {
-                // Lock the piece
-                longPressTriggered = true;
-                placePiece(gameModel, gameState.selectedPiece, adjustedRow, adjustedCol, gameState.selectedOrientation);
-
-                document.getElementById(`piece-${gameState.selectedPiece}`).classList.remove('selected');
-                gameState.selectedPiece = null;
-                document.getElementById('selectedPiece').textContent = 'None';
-
-                triggerHaptic('success');
-                updatePieceTrayUI();
-
-                if (checkWinCondition(gameModel, currentDate)) {
-                    triggerHaptic('complete');
-                    showWinMessage();
-                }
-
-                saveGameState(gameModel, currentDate);
-                draw();
-            }
-        }, LONG_PRESS_DURATION);
-    }, { passive: false });
-
-    canvas.addEventListener('touchmove', (e) => {
-        if (!gameState.selectedPiece) return;
-
-        // Prevent scrolling when a piece is selected
-        e.preventDefault();
-
-        const touch = e.touches[0];
-        const deltaX = Math.abs(touch.clientX - touchStartX);
-        const deltaY = Math.abs(touch.clientY - touchStartY);
+    // Tab / Shift+Tab through unplaced pieces; past the last one, focus leaves the board as usual
+    function cycleTrayPiece(e) {
+        const unplaced = Object.keys(pieces).filter(pieceName => !gameState.placedPieces.has(pieceName));
+        const step = e.shiftKey ? -1 : 1;
+        const currentIndex = unplaced.indexOf(gameState.selectedPiece);
+        const nextIndex = currentIndex === -1 ? (e.shiftKey ? unplaced.length - 1 : 0) : currentIndex + step;
 
-        if (deltaX > 5 || deltaY > 5) {
-            deps.setTouchMoved?.(true);
+        if (nextIndex < 0 || nextIndex >= unplaced.length) {
+            if (gameState.selectedPiece) deselectPiece();
+            return;
         }
+        e.preventDefault();
+        selectFromTray(unplaced[nextIndex]);
+    }
 
-        // Cancel long press if finger moves too much
-        if (deltaX > LONG_PRESS_MOVE_THRESHOLD || deltaY > LONG_PRESS_MOVE_THRESHOLD) {
-            clearTimeout(longPressTimeout);
+    function moveKeyboardCursor([rowStep, colStep]) {
+        if (!gameState.keyboardCursor) {
+            ensureKeyboardCursor();
+        } else {
+            const { row, col } = gameState.keyboardCursor;
+            gameState.keyboardCursor = {
+                row: Math.min(Math.max(row + rowStep, 0), GRID_ROWS - 1),
+                col: Math.min(Math.max(col + colStep, 0), GRID_COLS - 1)
+            };
         }
+        deps.resetPreviewPosition?.();
+        announceKeyboardCursor();
+        draw();
+    }
 
-        // Update mouse position and redraw with throttling (60fps)
-        const coords = getCanvasCoords(canvas, touch.clientX, touch.clientY);
-        gameState.mousePos = coords;
+    // Say which square the cursor is on, and what covers it
+    function announceKeyboardCursor() {
+        const { row, col } = gameState.keyboardCursor;
+        const square = gameModel.grid[row][col];
+        const pieceName = getPlacedPieceAtCell(row, col, gameState.placedPieces);
+        const label = square.label || 'Off the board';
+        deps.announce?.(pieceName ? `${label}, covered by ${pieceName}` : label);
+    }
 
-        const now = Date.now();
-        if (now - lastTouchDrawTime >= TOUCH_DRAW_THROTTLE_MS) {
-            draw();
-            lastTouchDrawTime = now;
+    function lockAtKeyboardCursor() {
+        const { row, col } = gameState.keyboardCursor;
+        const placement = getCenteredPlacement(gameState, row, col);
+        if (isValidPlacement(placement.gridCoords, gameState.occupiedSquares, currentDate)) {
+            lockSelectedPiece(deps, placement.row, placement.col);
+        } else {
+            rejectPlacement(deps);
         }
-    }, { passive: false });
-
-    canvas.addEventListener('touchend', (e) => {
-        if (!gameState.selectedPiece) return;
-
-        // Always cancel long press timeout on touchend
-        clearTimeout(longPressTimeout);
-
-        const touch = e.changedTouches[0];
-        const touchDuration = Date.now() - touchStartTime;
-
-        if (touchDuration > SWIPE_TIME_THRESHOLD) return;
+    }
 
-        const deltaX = touch.clientX - touchStartX;
-        const deltaY = touch.clientY - touchStartY;
-        const absDeltaX = Math.abs(deltaX);
-        const absDeltaY = Math.abs(deltaY);
+    document.addEventListener('keydown', (e) => {
+        // Leave typing in form fields (date picker, mode menu) alone
+        if (e.target.closest?.('input, select, textarea')) return;
 
-        let isSwipeGesture = false;
+        // Board keys apply while the board has focus or a piece is in hand
+        const boardHasFocus = document.activeElement === canvas;
+        const isBoardKey = boardHasFocus || gameState.selectedPiece !== null;
+        const pieceNames = Object.keys(pieces);
+        const digit = Number(e.key);
 
-        if (absDeltaX > SWIPE_THRESHOLD && absDeltaX > absDeltaY) {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
             e.preventDefault();
-            isSwipeGesture = true;
-            if (deltaX > 0) {
-                const piece = getPiece(gameState.selectedPiece);
-                gameState.selectedOrientation = (gameState.selectedOrientation - 1 + piece.orientations.length) % piece.orientations.length;
-                triggerHaptic('medium');
+            if (e.shiftKey) {
+                redo();
             } else {
-                rotateClockwise();
+                undo();
             }
-        } else if (absDeltaY > SWIPE_THRESHOLD && absDeltaY > absDeltaX) {
-            e.preventDefault();
-            isSwipeGesture = true;
-            if (deltaY < 0) {
-                flipPiece();
+        } else if (e.ctrlKey || e.metaKey || e.altKey) {
+            // Leave other browser shortcuts alone
+        } else if (Number.isInteger(digit) && digit >= 1 && digit <= pieceNames.length) {
+            const pieceName = pieceNames[digit - 1];
+            if (!gameState.placedPieces.has(pieceName)) {
+                e.preventDefault();
+                selectFromTray(pieceName);
             }
-        }
-
-        // If it was a swipe gesture, restore mouse position to where touch started
-        // This prevents the piece from moving during rotation/flip
-        if (isSwipeGesture && touchStartMousePos) {
-            gameState.mousePos = { ...touchStartMousePos };
-            draw();
-        }
-    }, { passive: false });
-}
-
-/**
- * Setup keyboard event handlers.
- * @param {Object} deps - Dependencies
- */
-export function setupKeyboardHandlers(deps) {
-    const {
-        gameState, gameModel, currentDate, getGridPos,
-        draw, rotateClockwise, flipPiece, updatePieceTrayUI
-    } = deps;
-
-    document.addEventListener('keydown', (e) => {
-        if (e.key.toLowerCase() === 'r') {
+        } else if (e.key === 'Tab' && boardHasFocus) {
+            cycleTrayPiece(e);
+        } else if (ARROW_MOVES[e.key] && isBoardKey) {
+            e.preventDefault();
+            moveKeyboardCursor(ARROW_MOVES[e.key]);
+        } else if (e.key === 'Enter' && gameState.selectedPiece && gameState.keyboardCursor && (boardHasFocus || document.activeElement === document.body)) {
+            e.preventDefault();
+            lockAtKeyboardCursor();
+        } else if (e.key.toLowerCase() === 'r') {
             e.preventDefault();
             rotateClockwise();
         } else if (e.key.toLowerCase() === 'f') {
@@ -419,6 +593,20 @@ export function setupKeyboardHandlers(deps) {
             flipPiece();
         } else if (e.key === 'Escape') {
             e.preventDefault();
+            if (gameState.keyboardCursor) {
+                // Keyboard play: pick the piece under the cursor up so the arrows move it
+                const { row, col } = gameState.keyboardCursor;
+                const pieceAtCursor = getPlacedPieceAtCell(row, col, gameState.placedPieces);
+                if (pieceAtCursor) {
+                    pickUpPiece(deps, pieceAtCursor);
+                    document.getElementById('statusMessage').className = 'status-message';
+                    saveGameState(gameModel, currentDate);
+                } else if (gameState.selectedPiece) {
+                    deselectPiece();
+                }
+                return;
+            }
+
             const pieceAtMouse = getPlacedPieceAtPosition(
                 gameState.mousePos.x,
                 gameState.mousePos.y,
@@ -450,8 +638,7 @@ export function setupWheelHandler(deps) {
         if (e.deltaY < 0) {
             rotateClockwise();
         } else {
-            const piece = getPiece(gameState.selectedPiece);
-            gameState.selectedOrientation = (gameState.selectedOrientation - 1 + piece.orientations.length) % piece.orientations.length;
+            rotateCounterClockwise(deps);
             draw();
         }
     }, { passive: false });
@@ -502,8 +689,7 @@ export function setupButtonInteractionHandlers(deps) {
  * @returns {Object} Handlers object with resetPreviewPosition function
  */
 export function setupAllCanvasHandlers(deps) {
-    setupCanvasMouseHandlers(deps);
-    setupCanvasTouchHandlers(deps);
+    setupPointerHandlers(deps);
     setupKeyboardHandlers(deps);
     setupWheelHandler(deps);
     setupContextMenuHandler(deps);
@@ -0,0 +1,172 @@
+// layouts.js - Board layouts
+// A layout is plain JSON-compatible data: the board size plus every calendar cell's
+// position, type, label and target metadata (monthIndex, dayNumber or weekday).
+// Cells not listed are empty. Pass a layout to setActiveLayout() in grid.js to use it.
+
+/**
+ * @typedef {Object} LayoutCell
+ * @property {number} row - Row index
+ * @property {number} col - Column index
+ * @property {string} type - 'month', 'day' or 'weekday' (see SQUARE_TYPE)
+ * @property {string} label - Text drawn on the square
+ * @property {number} [monthIndex] - Month index (0-11), for month cells
+ * @property {number} [dayNumber] - Day of month (1-31), for day cells
+ * @property {number} [weekday] - Day of week (0-6, Sunday=0), for weekday cells
+ */
+
+/**
+ * @typedef {Object} Layout
+ * @property {string} id - Unique layout id
+ * @property {string} name - Display name
+ * @property {number} rows - Number of grid rows
+ * @property {number} cols - Number of grid columns
+ * @property {Array<LayoutCell>} cells - Calendar cells
+ */
+
+/**
+ * Classic board (6 rows × 8 columns): two centered rows of months, then days 1-31.
+ *
+ *   0 1 2 3 4 5 6 7
+ * 0   M M M M M M       (Months 1-6, centered)
+ * 1   M M M M M M       (Months 7-12, centered)
+ * 2 D D D D D D D D     (Days 1-8)
+ * 3 D D D D D D D D     (Days 9-16)
+ * 4 D D D D D D D D     (Days 17-24)
+ * 5 D D D D D D D       (Days 25-31)
+ *
+ * @type {Layout}
+ */
+export const CLASSIC_LAYOUT = {
+  id: 'classic',
+  name: 'Classic',
+  rows: 6,
+  cols: 8,
+  cells: [
+    { row: 0, col: 1, type: 'month', label: 'Jan', monthIndex: 0 },
+    { row: 0, col: 2, type: 'month', label: 'Feb', monthIndex: 1 },
+    { row: 0, col: 3, type: 'month', label: 'Mar', monthIndex: 2 },
+    { row: 0, col: 4, type: 'month', label: 'Apr', monthIndex: 3 },
+    { row: 0, col: 5, type: 'month', label: 'May', monthIndex: 4 },
+    { row: 0, col: 6, type: 'month', label: 'Jun', monthIndex: 5 },
+    { row: 1, col: 1, type: 'month', label: 'Jul', monthIndex: 6 },
+    { row: 1, col: 2, type: 'month', label: 'Aug', monthIndex: 7 },
+    { row: 1, col: 3, type: 'month', label: 'Sep', monthIndex: 8 },
+    { row: 1, col: 4, type: 'month', label: 'Oct', monthIndex: 9 },
+    { row: 1, col: 5, type: 'month', label: 'Nov', monthIndex: 10 },
+    { row: 1, col: 6, type: 'month', label: 'Dec', monthIndex: 11 },
+    { row: 2, col: 0, type: 'day', label: '1', dayNumber: 1 },
+    { row: 2, col: 1, type: 'day', label: '2', dayNumber: 2 },
+    { row: 2, col: 2, type: 'day', label: '3', dayNumber: 3 },
+    { row: 2, col: 3, type: 'day', label: '4', dayNumber: 4 },
+    { row: 2, col: 4, type: 'day', label: '5', dayNumber: 5 },
+    { row: 2, col: 5, type: 'day', label: '6', dayNumber: 6 },
+    { row: 2, col: 6, type: 'day', label: '7', dayNumber: 7 },
+    { row: 2, col: 7, type: 'day', label: '8', dayNumber: 8 },
+    { row: 3, col: 0, type: 'day', label: '9', dayNumber: 9 },
+    { row: 3, col: 1, type: 'day', label: '10', dayNumber: 10 },
+    { row: 3, col: 2, type: 'day', label: '11', dayNumber: 11 },
+    { row: 3, col: 3, type: 'day', label: '12', dayNumber: 12 },
+    { row: 3, col: 4, type: 'day', label: '13', dayNumber: 13 },
+    { row: 3, col: 5, type: 'day', label: '14', dayNumber: 14 },
+    { row: 3, col: 6, type: 'day', label: '15', dayNumber: 15 },
+    { row: 3, col: 7, type: 'day', label: '16', dayNumber: 16 },
+    { row: 4, col: 0, type: 'day', label: '17', dayNumber: 17 },
+    { row: 4, col: 1, type: 'day', label: '18', dayNumber: 18 },
+    { row: 4, col: 2, type: 'day', label: '19', dayNumber: 19 },
+    { row: 4, col: 3, type: 'day', label: '20', dayNumber: 20 },
+    { row: 4, col: 4, type: 'day', label: '21', dayNumber: 21 },
+    { row: 4, col: 5, type: 'day', label: '22', dayNumber: 22 },
+    { row: 4, col: 6, type: 'day', label: '23', dayNumber: 23 },
+    { row: 4, col: 7, type: 'day', label: '24', dayNumber: 24 },
+    { row: 5, col: 0, type: 'day', label: '25', dayNumber: 25 },
+    { row: 5, col: 1, type: 'day', label: '26', dayNumber: 26 },
+    { row: 5, col: 2, type: 'day', label: '27', dayNumber: 27 },
+    { row: 5, col: 3, type: 'day', label: '28', dayNumber: 28 },
+    { row: 5, col: 4, type: 'day', label: '29', dayNumber: 29 },
+    { row: 5, col: 5, type: 'day', label: '30', dayNumber: 30 },
+    { row: 5, col: 6, type: 'day', label: '31', dayNumber: 31 }
+  ]
+};
+
+/**
+ * Weekday board (8 rows × 7 columns): months, days 1-31, then the days of the week,
+ * so the month, day and weekday all stay uncovered.
+ *
+ *   0 1 2 3 4 5 6
+ * 0 M M M M M M         (Months 1-6)
+ * 1 M M M M M M         (Months 7-12)
+ * 2 D D D D D D D       (Days 1-7)
+ * 3 D D D D D D D       (Days 8-14)
+ * 4 D D D D D D D       (Days 15-21)
+ * 5 D D D D D D D       (Days 22-28)
+ * 6 D D D W W W W       (Days 29-31, Sun-Wed)
+ * 7         W W W       (Thu-Sat)
+ *
+ * @type {Layout}
+ */
+export const WEEKDAY_LAYOUT = {
+  id: 'weekday',
+  name: 'Weekday',
+  rows: 8,
+  cols: 7,
+  cells: [
+    { row: 0, col: 0, type: 'month', label: 'Jan', monthIndex: 0 },
+    { row: 0, col: 1, type: 'month', label: 'Feb', monthIndex: 1 },
+    { row: 0, col: 2, type: 'month', label: 'Mar', monthIndex: 2 },
+    { row: 0, col: 3, type: 'month', label: 'Apr', monthIndex: 3 },
+    { row: 0, col: 4, type: 'month', label: 'May', monthIndex: 4 },
+    { row: 0, col: 5, type: 'month', label: 'Jun', monthIndex: 5 },
+    { row: 1, col: 0, type: 'month', label: 'Jul', monthIndex: 6 },
+    { row: 1, col: 1, type: 'month', label: 'Aug', monthIndex: 7 },
+    { row: 1, col: 2, type: 'month', label: 'Sep', monthIndex: 8 },
+    { row: 1, col: 3, type: 'month', label: 'Oct', monthIndex: 9 },
+    { row: 1, col: 4, type: 'month', label: 'Nov', monthIndex: 10 },
+    { row: 1, col: 5, type: 'month', label: 'Dec', monthIndex: 11 },
+    { row: 2, col: 0, type: 'day', label: '1', dayNumber: 1 },
+    { row: 2, col: 1, type: 'day', label: '2', dayNumber: 2 },
+    { row: 2, col: 2, type: 'day', label: '3', dayNumber: 3 },
+    { row: 2, col: 3, type: 'day', label: '4', dayNumber: 4 },
+    { row: 2, col: 4, type: 'day', label: '5', dayNumber: 5 },
+    { row: 2, col: 5, type: 'day', label: '6', dayNumber: 6 },
+    { row: 2, col: 6, type: 'day', label: '7', dayNumber: 7 },
+    { row: 3, col: 0, type: 'day', label: '8', dayNumber: 8 },
+    { row: 3, col: 1, type: 'day', label: '9', dayNumber: 9 },
+    { row: 3, col: 2, type: 'day', label: '10', dayNumber: 10 },
+    { row: 3, col: 3, type: 'day', label: '11', dayNumber: 11 },
+    { row: 3, col: 4, type: 'day', label: '12', dayNumber: 12 },
+    { row: 3, col: 5, type: 'day', label: '13', dayNumber: 13 },
+    { row: 3, col: 6, type: 'day', label: '14', dayNumber: 14 },
+    { row: 4, col: 0, type: 'day', label: '15', dayNumber: 15 },
+    { row: 4, col: 1, type: 'day', label: '16', dayNumber: 16 },
+    { row: 4, col: 2, type: 'day', label: '17', dayNumber: 17 },
+    { row: 4, col: 3, type: 'day', label: '18', dayNumber: 18 },
+    { row: 4, col: 4, type: 'day', label: '19', dayNumber: 19 },
+    { row: 4, col: 5, type: 'day', label: '20', dayNumber: 20 },
+    { row: 4, col: 6, type: 'day', label: '21', dayNumber: 21 },
+    { row: 5, col: 0, type: 'day', label: '22', dayNumber: 22 },
+    { row: 5, col: 1, type: 'day', label: '23', dayNumber: 23 },
+    { row: 5, col: 2, type: 'day', label: '24', dayNumber: 24 },
+    { row: 5, col: 3, type: 'day', label: '25', dayNumber: 25 },
+    { row: 5, col: 4, type: 'day', label: '26', dayNumber: 26 },
+    { row: 5, col: 5, type: 'day', label: '27', dayNumber: 27 },
+    { row: 5, col: 6, type: 'day', label: '28', dayNumber: 28 },
+    { row: 6, col: 0, type: 'day', label: '29', dayNumber: 29 },
+    { row: 6, col: 1, type: 'day', label: '30', dayNumber: 30 },
+    { row: 6, col: 2, type: 'day', label: '31', dayNumber: 31 },
+    { row: 6, col: 3, type: 'weekday', label: 'Sun', weekday: 0 },
+    { row: 6, col: 4, type: 'weekday', label: 'Mon', weekday: 1 },
+    { row: 6, col: 5, type: 'weekday', label: 'Tue', weekday: 2 },
+    { row: 6, col: 6, type: 'weekday', label: 'Wed', weekday: 3 },
+    { row: 7, col: 4, type: 'weekday', label: 'Thu', weekday: 4 },
+    { row: 7, col: 5, type: 'weekday', label: 'Fri', weekday: 5 },
+    { row: 7, col: 6, type: 'weekday', label: 'Sat', weekday: 6 }
+  ]
+};
+
+/**
+ * All built-in layouts by id
+ */
+export const LAYOUTS = {
+  [CLASSIC_LAYOUT.id]: CLASSIC_LAYOUT,
+  [WEEKDAY_LAYOUT.id]: WEEKDAY_LAYOUT
+};
@@ -0,0 +1,73 @@
+// patterns.js - Fill patterns that tell pieces apart without relying on color
+// Each pattern is a list of shapes in unit-cell coordinates (0-1), so the canvas and SVG
+// renderers draw exactly the same marks at any SQUARE_SIZE.
+
+import { pieces } from './pieces.js';
+
+/**
+ * @typedef {Object} PatternShape
+ * @property {string} type - 'line', 'dot' or 'text'
+ * @property {number} [x1] - Line start x (unit cell)
+ * @property {number} [y1] - Line start y
+ * @property {number} [x2] - Line end x
+ * @property {number} [y2] - Line end y
+ * @property {number} [x] - Dot or text center x
+ * @property {number} [y] - Dot or text center y
+ * @property {number} [r] - Dot radius, as a fraction of the cell size
+ * @property {string} [text] - Text to draw
+ */
+
+/**
+ * @typedef {Object} Pattern
+ * @property {string} id - Pattern id
+ * @property {Array<PatternShape>} shapes - Marks to draw in every cell of the piece
+ */
+
+const line = (x1, y1, x2, y2) => ({ type: 'line', x1, y1, x2, y2 });
+const dot = (x, y, r) => ({ type: 'dot', x, y, r });
+
+const FORWARD_STRIPES = [line(0, 0.5, 0.5, 0), line(0, 1, 1, 0), line(0.5, 1, 1, 0.5)];
+const BACKWARD_STRIPES = [line(0, 0.5, 0.5, 1), line(0, 0, 1, 1), line(0.5, 0, 1, 0.5)];
+
+/**
+ * Patterns in the order they are handed to pieces. Sets with more pieces than patterns
+ * fall back to the piece letter.
+ */
+export const PATTERNS = [
+    { id: 'forward-stripes', shapes: FORWARD_STRIPES },
+    { id: 'dots', shapes: [dot(0.3, 0.3, 0.08), dot(0.7, 0.3, 0.08), dot(0.3, 0.7, 0.08), dot(0.7, 0.7, 0.08)] },
+    { id: 'horizontal-stripes', shapes: [line(0, 0.25, 1, 0.25), line(0, 0.5, 1, 0.5), line(0, 0.75, 1, 0.75)] },
+    { id: 'cross-hatch', shapes: [...FORWARD_STRIPES, ...BACKWARD_STRIPES] },
+    { id: 'big-dot', shapes: [dot(0.5, 0.5, 0.2)] },
+    { id: 'vertical-stripes', shapes: [line(0.25, 0, 0.25, 1), line(0.5, 0, 0.5, 1), line(0.75, 0, 0.75, 1)] },
+    { id: 'backward-stripes', shapes: BACKWARD_STRIPES },
+    { id: 'grid', shapes: [line(0, 0.33, 1, 0.33), line(0, 0.67, 1, 0.67), line(0.33, 0, 0.33, 1), line(0.67, 0, 0.67, 1)] },
+    { id: 'cross', shapes: [line(0.2, 0.2, 0.8, 0.8), line(0.8, 0.2, 0.2, 0.8)] },
+    { id: 'plus', shapes: [line(0.5, 0.2, 0.5, 0.8), line(0.2, 0.5, 0.8, 0.5)] },
+    { id: 'small-dots', shapes: [0.2, 0.5, 0.8].flatMap(y => [0.2, 0.5, 0.8].map(x => dot(x, y, 0.05))) }
+];
+
+/**
+ * Pattern for a piece, by its position in the active piece set.
+ * @param {string} pieceName - Piece name in the active set
+ * @returns {Pattern} The piece's pattern (its letter if the set has run out of patterns)
+ */
+export function getPiecePattern(pieceName) {
+    const index = Object.keys(pieces).indexOf(pieceName);
+    if (index >= 0 && index < PATTERNS.length) {
+        return PATTERNS[index];
+    }
+    // Short names (I4, T4) fit whole; longer ones (RECTANGLE) use their first letter
+    const text = pieceName.length <= 2 ? pieceName : pieceName[0];
+    return { id: `letter-${pieceName}`, shapes: [{ type: 'text', x: 0.5, y: 0.5, text }] };
+}
+
+/**
+ * Ink color for pattern marks: dark on light piece colors, light on dark ones.
+ * @param {string} color - Piece fill as a CSS hex color like "#E74C3C"
+ * @returns {string} CSS color
+ */
+export function getPatternInk(color) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 140 ? 'rgba(0, 0, 0, 0.55)' : 'rgba(255, 255, 255, 0.75)';
+}
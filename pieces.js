@@ -77,8 +77,172 @@ function generateOrientations(baseCoords) {
   return orientations;
 }
 
-export const pieces = {
-  // Pentominoes - using color-blind friendly palette with high contrast
+/**
+ * Kinds of polyomino equivalence used by the enumerator and canonicalizer
+ */
+export const POLYOMINO_KIND = {
+  FREE: 'free',           // Rotations and flips are the same shape
+  ONE_SIDED: 'one-sided', // Rotations are the same shape, mirror images differ
+  FIXED: 'fixed'          // Every rotation and flip is a different shape
+};
+
+/**
+ * Standard names, drawn independently of the piece definitions below so they can be
+ * used to check them. Tetrominoes carry a 4 to tell them apart from the pentominoes.
+ */
+const STANDARD_SHAPES = {
+  I4: ['####'],
+  O4: ['##', '##'],
+  T4: ['###', '.#.'],
+  S4: ['.##', '##.'],
+  L4: ['###', '#..'],
+  F: ['.##', '##.', '.#.'],
+  I: ['#####'],
+  L: ['####', '#...'],
+  N: ['##..', '.###'],
+  P: ['##', '##', '#.'],
+  T: ['###', '.#.', '.#.'],
+  U: ['#.#', '###'],
+  V: ['#..', '#..', '###'],
+  W: ['#..', '##.', '.##'],
+  X: ['.#.', '###', '.#.'],
+  Y: ['####', '.#..'],
+  Z: ['##.', '.#.', '.##']
+};
+
+/**
+ * Shift coordinates so the smallest x and y are 0, and sort them
+ * @param {Array} coords - Array of [x, y] pairs
+ * @returns {Array} New normalized array
+ */
+function normalizeCoords(coords) {
+  const minX = Math.min(...coords.map(([x]) => x));
+  const minY = Math.min(...coords.map(([, y]) => y));
+  return coords
+    .map(([x, y]) => [x - minX, y - minY])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+/**
+ * Stable string form of normalized coordinates, e.g. "0,0;1,0;1,1"
+ * @param {Array} coords - Normalized array of [x, y] pairs
+ * @returns {string}
+ */
+function coordsToId(coords) {
+  return coords.map(([x, y]) => `${x},${y}`).join(';');
+}
+
+/**
+ * Canonical coordinates of a shape: the smallest id among its equivalent placements
+ * @param {Array} coords - Array of [x, y] pairs
+ * @param {string} kind - One of POLYOMINO_KIND
+ * @returns {Array} Normalized coordinates
+ */
+function getCanonicalCoords(coords, kind) {
+  let variants;
+  if (kind === POLYOMINO_KIND.FIXED) {
+    variants = [normalizeCoords(coords)];
+  } else if (kind === POLYOMINO_KIND.ONE_SIDED) {
+    variants = [];
+    let current = normalizeCoords(coords);
+    for (let r = 0; r < 4; r++) {
+      variants.push(normalizeCoords(current));
+      current = rotateCoords(current);
+    }
+  } else {
+    // generateOrientations sorts its input in place, so hand it a copy
+    variants = generateOrientations(normalizeCoords(coords)).map(normalizeCoords);
+  }
+
+  return variants.reduce((best, variant) => (coordsToId(variant) < coordsToId(best) ? variant : best));
+}
+
+// Free-shape id -> standard name
+const STANDARD_NAMES = new Map(Object.entries(STANDARD_SHAPES).map(([name, rows]) => {
+  const coords = [];
+  rows.forEach((row, y) => [...row].forEach((char, x) => {
+    if (char === '#') coords.push([x, y]);
+  }));
+  return [coordsToId(getCanonicalCoords(coords, POLYOMINO_KIND.FREE)), name];
+}));
+
+/**
+ * Map any cell list to a stable id and, for tetrominoes and pentominoes, its standard name.
+ * The id is the same for every placement that counts as the same shape under `kind`;
+ * the name always describes the free shape.
+ * @param {Array} coords - Array of [x, y] pairs (any position or orientation)
+ * @param {string} [kind] - One of POLYOMINO_KIND (default: free)
+ * @returns {{id: string, name: string|null, coords: Array}} Canonical id, standard name and coordinates
+ */
+export function canonicalize(coords, kind = POLYOMINO_KIND.FREE) {
+  const canonical = getCanonicalCoords(coords, kind);
+  const freeId = kind === POLYOMINO_KIND.FREE
+    ? coordsToId(canonical)
+    : coordsToId(getCanonicalCoords(coords, POLYOMINO_KIND.FREE));
+  return {
+    id: coordsToId(canonical),
+    name: STANDARD_NAMES.get(freeId) || null,
+    coords: canonical
+  };
+}
+
+/**
+ * Check if a name is one of the standard shape names known to canonicalize()
+ * @param {string} name - Piece name
+ * @returns {boolean}
+ */
+export function isStandardShapeName(name) {
+  return Object.prototype.hasOwnProperty.call(STANDARD_SHAPES, name);
+}
+
+/**
+ * Enumerate every polyomino of size n in canonical form, sorted by id.
+ * Each size is grown from the one below by adding a neighboring cell, so this is
+ * meant for the small sizes used by piece sets (counts grow roughly 4x per cell).
+ * @param {number} n - Number of cells
+ * @param {string} [kind] - One of POLYOMINO_KIND (default: free)
+ * @yields {{id: string, name: string|null, coords: Array}} Same shape as canonicalize()
+ */
+export function* enumeratePolyominoes(n, kind = POLYOMINO_KIND.FREE) {
+  if (!Number.isInteger(n) || n < 1) return;
+
+  let level = new Map([[coordsToId([[0, 0]]), [[0, 0]]]]);
+  for (let size = 1; size < n; size++) {
+    const next = new Map();
+    level.forEach(coords => {
+      const cells = new Set(coords.map(([x, y]) => `${x},${y}`));
+      coords.forEach(([x, y]) => {
+        [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]].forEach(([nx, ny]) => {
+          if (cells.has(`${nx},${ny}`)) return;
+          const grown = getCanonicalCoords([...coords, [nx, ny]], kind);
+          const id = coordsToId(grown);
+          if (!next.has(id)) {
+            next.set(id, grown);
+          }
+        });
+      });
+    });
+    level = next;
+  }
+
+  const ids = [...level.keys()].sort();
+  for (const id of ids) {
+    yield canonicalize(level.get(id), kind);
+  }
+}
+
+// All 12 free pentominoes - using color-blind friendly palette with high contrast
+const PENTOMINOES = {
+  F: {
+    name: "F",
+    color: "#2C3E50",  // Dark navy
+    orientations: generateOrientations([[1,0], [2,0], [0,1], [1,1], [1,2]])
+  },
+  I: {
+    name: "I",
+    color: "#D35400",  // Pumpkin
+    orientations: generateOrientations([[0,0], [1,0], [2,0], [3,0], [4,0]])
+  },
   L: {
     name: "L",
     color: "#E74C3C",  // Bright red
@@ -94,6 +258,11 @@ export const pieces = {
     color: "#27AE60",  // Green
     orientations: generateOrientations([[0,0], [1,0], [0,1], [1,1], [0,2]])
   },
+  T: {
+    name: "T",
+    color: "#00838F",  // Dark cyan
+    orientations: generateOrientations([[0,0], [1,0], [2,0], [1,1], [1,2]])
+  },
   U: {
     name: "U",
     color: "#F39C12",  // Orange/amber
@@ -104,6 +273,16 @@ export const pieces = {
     color: "#8E44AD",  // Purple
     orientations: generateOrientations([[0,0], [1,0], [2,0], [0,1], [0,2]])
   },
+  W: {
+    name: "W",
+    color: "#558B2F",  // Olive green
+    orientations: generateOrientations([[0,0], [0,1], [1,1], [1,2], [2,2]])
+  },
+  X: {
+    name: "X",
+    color: "#AD1457",  // Raspberry
+    orientations: generateOrientations([[1,0], [0,1], [1,1], [2,1], [1,2]])
+  },
   Y: {
     name: "Y",
     color: "#E91E63",  // Pink/magenta
@@ -113,7 +292,53 @@ export const pieces = {
     name: "Z",
     color: "#16A085",  // Teal/cyan
     orientations: generateOrientations([[0,0], [0,1], [1,1], [2,1], [2,2]])
+  }
+};
+
+// All 5 free tetrominoes
+const TETROMINOES = {
+  I4: {
+    name: "I4",
+    color: "#7F8C8D",  // Slate gray
+    orientations: generateOrientations([[0,0], [1,0], [2,0], [3,0]])
+  },
+  O4: {
+    name: "O4",
+    color: "#5D6D7E",  // Steel blue-gray
+    orientations: generateOrientations([[0,0], [1,0], [0,1], [1,1]])
+  },
+  T4: {
+    name: "T4",
+    color: "#C0A000",  // Mustard
+    orientations: generateOrientations([[0,0], [1,0], [2,0], [1,1]])
+  },
+  S4: {
+    name: "S4",
+    color: "#6D4C41",  // Brown
+    orientations: generateOrientations([[1,0], [2,0], [0,1], [1,1]])
   },
+  L4: {
+    name: "L4",
+    color: "#1565C0",  // Deep blue
+    orientations: generateOrientations([[0,0], [1,0], [2,0], [0,1]])
+  }
+};
+
+/**
+ * Pick pieces by name, in the given order (which is the tray and share-code order)
+ * @param {Object} source - Map of piece names to piece definitions
+ * @param {string[]} names - Names to pick
+ * @returns {Object} New map with just those pieces
+ */
+function pickPieces(source, names) {
+  return Object.fromEntries(names.map(name => [name, source[name]]));
+}
+
+/**
+ * Classic set: 7 pentominoes + 1 hexomino, covering the 41 squares of the classic board
+ */
+export const CLASSIC_PIECES = {
+  ...pickPieces(PENTOMINOES, ['L', 'N', 'P', 'U', 'V', 'Y', 'Z']),
 
   // Hexomino
   RECTANGLE: {
@@ -123,13 +348,141 @@ export const pieces = {
   }
 };
 
+/**
+ * Weekday set: 7 pentominoes + 3 tetrominoes, covering the 47 squares of the weekday board
+ */
+export const WEEKDAY_PIECES = {
+  ...pickPieces(PENTOMINOES, ['L', 'N', 'P', 'U', 'V', 'Y', 'Z']),
+  ...pickPieces(TETROMINOES, ['I4', 'T4', 'S4'])
+};
+
+/**
+ * Tetromino mix: 5 pentominoes + 4 tetrominoes, another way to cover the classic board
+ */
+export const TETROMINO_MIX_PIECES = {
+  ...pickPieces(PENTOMINOES, ['L', 'N', 'P', 'U', 'V']),
+  ...pickPieces(TETROMINOES, ['I4', 'O4', 'T4', 'S4'])
+};
+
+/**
+ * Named piece sets. A set must fit its board: 60 squares for all 12 pentominoes.
+ */
+export const PIECE_SETS = {
+  classic: { id: 'classic', name: 'Classic', pieces: CLASSIC_PIECES },
+  weekday: { id: 'weekday', name: 'Weekday', pieces: WEEKDAY_PIECES },
+  tetrominoMix: { id: 'tetrominoMix', name: 'Tetromino mix', pieces: TETROMINO_MIX_PIECES },
+  pentominoes: { id: 'pentominoes', name: 'All 12 pentominoes', pieces: { ...PENTOMINOES } }
+};
+
+/**
+ * Check that a piece's cells form one edge-connected shape
+ * @param {Array} coords - Array of [x, y] pairs
+ * @returns {boolean}
+ */
+function isConnected(coords) {
+  const remaining = new Set(coords.map(([x, y]) => `${x},${y}`));
+  const stack = [coords[0]];
+  remaining.delete(`${coords[0][0]},${coords[0][1]}`);
+
+  while (stack.length > 0) {
+    const [x, y] = stack.pop();
+    [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]].forEach(([nx, ny]) => {
+      if (remaining.delete(`${nx},${ny}`)) {
+        stack.push([nx, ny]);
+      }
+    });
+  }
+  return remaining.size === 0;
+}
+
+/**
+ * Check a piece set for consistency, throwing if anything is wrong:
+ * every piece needs a name, a color and connected cells with no repeats, no two pieces
+ * may be the same free shape, a piece named after a standard shape (e.g. "Z" or "T4")
+ * must really be that shape, and the pieces must cover exactly the squares to cover.
+ * @param {Object} pieceSet - { id, name, pieces } (see PIECE_SETS)
+ * @param {number} [squaresToCover] - Board squares that must be covered (skips the area check if omitted)
+ * @throws {Error} Listing every problem found
+ */
+export function validatePieceSet(pieceSet, squaresToCover) {
+  const problems = [];
+  const shapeOwners = new Map();
+  let totalArea = 0;
+
+  if (Object.keys(pieceSet.pieces || {}).length === 0) {
+    problems.push('it has no pieces');
+  }
+  Object.entries(pieceSet.pieces || {}).forEach(([key, piece]) => {
+    const coords = piece.orientations?.[0];
+    if (!piece.name || !piece.color) {
+      problems.push(`${key} needs a name and a color`);
+    }
+    if (!coords || coords.length === 0) {
+      problems.push(`${key} has no cells`);
+      return;
+    }
+    if (new Set(coords.map(([x, y]) => `${x},${y}`)).size !== coords.length) {
+      problems.push(`${key} repeats a cell`);
+      return;
+    }
+    if (!isConnected(coords)) {
+      problems.push(`${key} is not connected`);
+    }
+
+    const shape = canonicalize(coords);
+    if (isStandardShapeName(piece.name) && shape.name !== piece.name) {
+      problems.push(`${key} is named ${piece.name} but is the ${shape.name || 'unnamed'} shape`);
+    }
+    if (shapeOwners.has(shape.id)) {
+      problems.push(`${key} is the same shape as ${shapeOwners.get(shape.id)}`);
+    } else {
+      shapeOwners.set(shape.id, key);
+    }
+    totalArea += coords.length;
+  });
+
+  if (squaresToCover !== undefined && totalArea !== squaresToCover) {
+    problems.push(`its pieces cover ${totalArea} squares but the board has ${squaresToCover} to cover`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid piece set "${pieceSet.id}": ${problems.join('; ')}`);
+  }
+}
+
+let activePieceSet = PIECE_SETS.classic;
+
+/**
+ * Active pieces (live binding - follows setActivePieceSet)
+ */
+export let pieces = activePieceSet.pieces;
+
+/**
+ * Validate a piece set against the board and make it the active set
+ * @param {Object} pieceSet - { id, name, pieces } (see PIECE_SETS)
+ * @param {number} [squaresToCover] - Board squares that must be covered (see getSquaresToCoverCount)
+ * @throws {Error} If the set is invalid (the active set is left unchanged)
+ */
+export function setActivePieceSet(pieceSet, squaresToCover) {
+  validatePieceSet(pieceSet, squaresToCover);
+  activePieceSet = pieceSet;
+  pieces = pieceSet.pieces;
+}
+
+/**
+ * Get the active piece set
+ * @returns {Object} { id, name, pieces }
+ */
+export function getActivePieceSet() {
+  return activePieceSet;
+}
+
 /**
  * Returns a piece by name
- * @param {string} name - Piece name (L, N, P, U, V, Y, Z, RECTANGLE)
- * @returns {Object} Piece definition
+ * @param {string} name - Piece name in the active set (e.g. L, N, P, U, V, Y, Z, RECTANGLE)
+ * @returns {Object|undefined} Piece definition, or undefined if the active set has no such piece
  */
 export function getPiece(name) {
-  return pieces[name];
+  return Object.hasOwn(pieces, name) ? pieces[name] : undefined;
 }
 
 /**
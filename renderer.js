@@ -1,8 +1,10 @@
 // renderer.js - Canvas rendering functions for the polyomino calendar game
 // All functions take explicit parameters (canvas context, state, config)
 
-import { pieceToGridCoords, isValidPlacement } from './grid.js';
+import { SQUARE_TYPE, pieceToGridCoords, isValidPlacement, isCurrentDateSquare } from './grid.js';
 import { getPiece } from './pieces.js';
+import { THEMES, DEFAULT_THEME_ID, getPieceColor } from './themes.js';
+import { getPiecePattern, getPatternInk } from './patterns.js';
 
 /**
  * @typedef {Object} RenderConfig
@@ -10,6 +12,8 @@ import { getPiece } from './pieces.js';
  * @property {number} SQUARE_SIZE - Size of each grid square in pixels
  * @property {number} GRID_ROWS - Number of rows in the grid
  * @property {number} GRID_COLS - Number of columns in the grid
+ * @property {import('./themes.js').Theme} [theme] - Colors to draw with (defaults to the light theme)
+ * @property {boolean} [patterns] - Draw each piece's fill pattern (see patterns.js) as well as its color
  */
 
 /**
@@ -19,6 +23,9 @@ import { getPiece } from './pieces.js';
  * @property {{x: number, y: number}} mousePos - Current mouse position on canvas
  * @property {string|null} highlightedPiece - Name of piece to highlight on grid, or null
  * @property {boolean} isInteractingWithButton - Flag to prevent deselection during button interaction
+ * @property {{pieceName: string, placement: Object}|null} hint - Hint placement to show as a ghost, or null
+ * @property {{row: number, col: number}|null} keyboardCursor - Grid cell of the keyboard cursor, or null while using the mouse
+ * @property {Array<Array<[number, number]>>} deadRegions - Dead regions from findDeadRegions(), updated on each board change
  */
 
 /**
@@ -32,8 +39,18 @@ import { getPiece } from './pieces.js';
  * @typedef {Object} CurrentDate
  * @property {number} monthIndex - Month index (0-11, January=0)
  * @property {number} dayNumber - Day of month (1-31)
+ * @property {number} [year] - Full year, used for stats keys (defaults to the current year)
  */
 
+/**
+ * Theme from a render config, falling back to the default theme.
+ * @param {RenderConfig} config - Rendering configuration
+ * @returns {import('./themes.js').Theme}
+ */
+export function getTheme(config) {
+    return config.theme || THEMES[DEFAULT_THEME_ID];
+}
+
 /**
  * Get grid position from canvas coordinates.
  * @param {number} canvasX - X coordinate on canvas
@@ -83,10 +100,11 @@ export function getPieceCenter(coords) {
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {Array} grid - Grid data from gameModel
  * @param {Object} currentDate - { monthIndex, dayNumber }
- * @param {Object} config - { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS }
+ * @param {Object} config - { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS, theme }
  */
 export function drawGrid(ctx, grid, currentDate, config) {
     const { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS } = config;
+    const theme = getTheme(config);
 
     for (let row = 0; row < GRID_ROWS; row++) {
         for (let col = 0; col < GRID_COLS; col++) {
@@ -94,25 +112,24 @@ export function drawGrid(ctx, grid, currentDate, config) {
             const x = PADDING + col * SQUARE_SIZE;
             const y = PADDING + row * SQUARE_SIZE;
 
-            if (square.type === 'empty') {
+            if (square.type === SQUARE_TYPE.EMPTY) {
                 continue;
             }
 
             // Check if this is the current date
-            const isCurrent = (square.type === 'month' && square.monthIndex === currentDate.monthIndex) ||
-                             (square.type === 'day' && square.dayNumber === currentDate.dayNumber);
+            const isCurrent = isCurrentDateSquare(square, currentDate);
 
             // Draw background
-            ctx.fillStyle = isCurrent ? '#fff3cd' : '#ffffff';
+            ctx.fillStyle = isCurrent ? theme.targetFill : theme.squareFill;
             ctx.fillRect(x, y, SQUARE_SIZE, SQUARE_SIZE);
 
             // Draw border
-            ctx.strokeStyle = '#cccccc';
+            ctx.strokeStyle = theme.squareBorder;
             ctx.lineWidth = 1;
             ctx.strokeRect(x, y, SQUARE_SIZE, SQUARE_SIZE);
 
             // Draw text
-            ctx.fillStyle = isCurrent ? '#ff6b6b' : '#333';
+            ctx.fillStyle = isCurrent ? theme.targetText : theme.labelText;
             ctx.font = isCurrent ? 'bold 12px sans-serif' : '12px sans-serif';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
@@ -121,6 +138,39 @@ export function drawGrid(ctx, grid, currentDate, config) {
     }
 }
 
+/**
+ * Draw a piece's pattern marks in one grid cell.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {import('./patterns.js').Pattern} pattern - Pattern to draw
+ * @param {number} x - Cell left edge on the canvas
+ * @param {number} y - Cell top edge on the canvas
+ * @param {number} size - Cell size in pixels
+ * @param {string} ink - Color for the marks
+ */
+function drawPatternShapes(ctx, pattern, x, y, size, ink) {
+    ctx.strokeStyle = ink;
+    ctx.fillStyle = ink;
+    ctx.lineWidth = Math.max(1, size / 18);
+
+    pattern.shapes.forEach(shape => {
+        if (shape.type === 'line') {
+            ctx.beginPath();
+            ctx.moveTo(x + shape.x1 * size, y + shape.y1 * size);
+            ctx.lineTo(x + shape.x2 * size, y + shape.y2 * size);
+            ctx.stroke();
+        } else if (shape.type === 'dot') {
+            ctx.beginPath();
+            ctx.arc(x + shape.x * size, y + shape.y * size, shape.r * size, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (shape.type === 'text') {
+            ctx.font = `bold ${Math.round(size * 0.45)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(shape.text, x + shape.x * size, y + shape.y * size);
+        }
+    });
+}
+
 /**
  * Draw a single piece on the canvas.
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -128,18 +178,19 @@ export function drawGrid(ctx, grid, currentDate, config) {
  * @param {number} startRow - Grid row for origin
  * @param {number} startCol - Grid column for origin
  * @param {string} color - Piece color
- * @param {Object} config - { PADDING, SQUARE_SIZE }
- * @param {Object} options - { opacity, isHighlighted, isActive }
+ * @param {Object} config - { PADDING, SQUARE_SIZE, theme }
+ * @param {Object} options - { opacity, isHighlighted, isActive, isGhost, pattern }
  */
 export function drawPiece(ctx, pieceCoords, startRow, startCol, color, config, options = {}) {
     const { PADDING, SQUARE_SIZE } = config;
-    const { opacity = 1, isHighlighted = false, isActive = false } = options;
+    const theme = getTheme(config);
+    const { opacity = 1, isHighlighted = false, isActive = false, isGhost = false, pattern = null } = options;
 
     ctx.globalAlpha = opacity;
 
     // Use distinct color for active pieces
     if (isActive) {
-        ctx.fillStyle = '#FF6B9D';  // Bright pink/magenta for active pieces
+        ctx.fillStyle = theme.activePiece;
     } else {
         ctx.fillStyle = color;
     }
@@ -153,15 +204,15 @@ export function drawPiece(ctx, pieceCoords, startRow, startCol, color, config, o
         // Fill main square
         ctx.fillRect(canvasX, canvasY, SQUARE_SIZE, SQUARE_SIZE);
 
-        // Add 3D bevel effect for placed pieces (not active)
-        if (!isActive) {
+        // Add 3D bevel effect for placed pieces (not active or ghost)
+        if (!isActive && !isGhost) {
             // Lighter highlight on top and left edges
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+            ctx.fillStyle = theme.bevelLight;
             ctx.fillRect(canvasX, canvasY, SQUARE_SIZE, 2);  // Top edge
             ctx.fillRect(canvasX, canvasY, 2, SQUARE_SIZE);  // Left edge
 
             // Darker shadow on bottom and right edges
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.fillStyle = theme.bevelDark;
             ctx.fillRect(canvasX, canvasY + SQUARE_SIZE - 2, SQUARE_SIZE, 2);  // Bottom edge
             ctx.fillRect(canvasX + SQUARE_SIZE - 2, canvasY, 2, SQUARE_SIZE);  // Right edge
 
@@ -169,23 +220,35 @@ export function drawPiece(ctx, pieceCoords, startRow, startCol, color, config, o
             ctx.fillStyle = color;
         }
 
+        // Pattern marks so pieces can be told apart without color
+        if (pattern && !isActive) {
+            drawPatternShapes(ctx, pattern, canvasX, canvasY, SQUARE_SIZE, getPatternInk(color));
+            ctx.fillStyle = color;
+        }
+
         // Draw borders with increased thickness for better separation
         if (isActive) {
-            ctx.strokeStyle = '#C41E3A';  // Dark red for active piece border
+            ctx.strokeStyle = theme.activeBorder;
             ctx.lineWidth = 3;
         } else if (isHighlighted) {
-            ctx.strokeStyle = '#ff6b6b';
+            ctx.strokeStyle = theme.highlightBorder;
             ctx.lineWidth = 4;
+        } else if (isGhost) {
+            // Dashed outline for hint ghosts
+            ctx.strokeStyle = theme.ghostBorder;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 3]);
         } else {
             // Thicker, darker border for placed pieces
-            ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.strokeStyle = theme.pieceBorder;
             ctx.lineWidth = 3;
         }
         ctx.strokeRect(canvasX + 0.5, canvasY + 0.5, SQUARE_SIZE - 1, SQUARE_SIZE - 1);
+        ctx.setLineDash([]);
 
         // Add diagonal pattern for active pieces
         if (isActive) {
-            ctx.strokeStyle = 'rgba(196, 30, 58, 0.3)';
+            ctx.strokeStyle = theme.activePattern;
             ctx.lineWidth = 1;
             for (let i = 0; i < SQUARE_SIZE; i += 4) {
                 ctx.beginPath();
@@ -199,21 +262,47 @@ export function drawPiece(ctx, pieceCoords, startRow, startCol, color, config, o
     ctx.globalAlpha = 1;
 }
 
+/**
+ * Draw a warning tint over empty regions that can no longer be filled.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<Array<[number, number]>>} regions - Dead regions from findDeadRegions()
+ * @param {Object} config - { PADDING, SQUARE_SIZE, theme }
+ */
+export function drawDeadRegions(ctx, regions, config) {
+    const { PADDING, SQUARE_SIZE } = config;
+    const theme = getTheme(config);
+
+    regions.forEach(region => {
+        region.forEach(([row, col]) => {
+            const canvasX = PADDING + col * SQUARE_SIZE;
+            const canvasY = PADDING + row * SQUARE_SIZE;
+
+            ctx.fillStyle = theme.deadRegionFill;  // Warning tint
+            ctx.fillRect(canvasX, canvasY, SQUARE_SIZE, SQUARE_SIZE);
+
+            ctx.strokeStyle = theme.deadRegionBorder;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(canvasX + 1, canvasY + 1, SQUARE_SIZE - 2, SQUARE_SIZE - 2);
+        });
+    });
+}
+
 /**
  * Draw placement indicator (crosshair) at cursor position.
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {number} row - Grid row
  * @param {number} col - Grid column
  * @param {boolean} isValid - Whether the placement is valid
- * @param {Object} config - { PADDING, SQUARE_SIZE }
+ * @param {Object} config - { PADDING, SQUARE_SIZE, theme }
  */
 export function drawPlacementIndicator(ctx, row, col, isValid, config) {
     const { PADDING, SQUARE_SIZE } = config;
+    const theme = getTheme(config);
     const canvasX = PADDING + col * SQUARE_SIZE;
     const canvasY = PADDING + row * SQUARE_SIZE;
 
     // Use different colors for valid vs invalid placements
-    const color = isValid ? '#4CAF50' : '#F44336';  // Green for valid, red for invalid
+    const color = isValid ? theme.validPlacement : theme.invalidPlacement;
     const fillOpacity = isValid ? 0.2 : 0.3;
 
     // Draw a target circle at the tap point
@@ -239,10 +328,33 @@ export function drawPlacementIndicator(ctx, row, col, isValid, config) {
     ctx.stroke();
 }
 
+/**
+ * Draw the keyboard cursor: a thick outline around one grid cell.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {Object} config - { PADDING, SQUARE_SIZE, theme }
+ */
+export function drawKeyboardCursor(ctx, row, col, config) {
+    const { PADDING, SQUARE_SIZE } = config;
+    const theme = getTheme(config);
+    const canvasX = PADDING + col * SQUARE_SIZE;
+    const canvasY = PADDING + row * SQUARE_SIZE;
+
+    // Halo under the outline so it shows on any piece color
+    ctx.strokeStyle = theme.keyboardCursorHalo;
+    ctx.lineWidth = 6;
+    ctx.strokeRect(canvasX + 3, canvasY + 3, SQUARE_SIZE - 6, SQUARE_SIZE - 6);
+    ctx.strokeStyle = theme.keyboardCursor;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(canvasX + 3, canvasY + 3, SQUARE_SIZE - 6, SQUARE_SIZE - 6);
+}
+
 /**
  * Draw the preview of the selected piece at cursor position.
+ * Uses the keyboard cursor cell when it is active, otherwise the mouse position.
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Object} uiState - { selectedPiece, selectedOrientation, mousePos }
+ * @param {Object} uiState - { selectedPiece, selectedOrientation, mousePos, keyboardCursor }
  * @param {Set} occupiedSquares - Set of occupied square keys
  * @param {Object} currentDate - Current date { monthIndex, dayNumber }
  * @param {Object} config - { PADDING, SQUARE_SIZE }
@@ -252,7 +364,7 @@ export function drawPreview(ctx, uiState, occupiedSquares, currentDate, config)
 
     const piece = getPiece(uiState.selectedPiece);
     const coords = piece.orientations[uiState.selectedOrientation];
-    const { row, col } = getGridPos(uiState.mousePos.x, uiState.mousePos.y, config);
+    const { row, col } = uiState.keyboardCursor || getGridPos(uiState.mousePos.x, uiState.mousePos.y, config);
 
     // Adjust placement so cursor is on piece's center
     const [centerX, centerY] = getPieceCenter(coords);
@@ -263,7 +375,7 @@ export function drawPreview(ctx, uiState, occupiedSquares, currentDate, config)
     const isValid = isValidPlacement(gridCoords, occupiedSquares, currentDate);
 
     // Draw active piece
-    drawPiece(ctx, coords, adjustedRow, adjustedCol, piece.color, config, {
+    drawPiece(ctx, coords, adjustedRow, adjustedCol, getPieceColor(getTheme(config), uiState.selectedPiece), config, {
         opacity: isValid ? 1.0 : 0.5,
         isActive: true
     });
@@ -283,23 +395,44 @@ export function drawPreview(ctx, uiState, occupiedSquares, currentDate, config)
  */
 export function render(ctx, canvas, gameModel, uiState, currentDate, config) {
     // Clear canvas
-    ctx.fillStyle = '#f5f5f5';
+    ctx.fillStyle = getTheme(config).background;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
     // Draw grid
     drawGrid(ctx, gameModel.grid, currentDate, config);
 
+    // Warn about empty regions that can never be filled
+    drawDeadRegions(ctx, uiState.deadRegions, config);
+
     // Draw placed pieces
     gameModel.placedPieces.forEach((placement, pieceName) => {
         const piece = getPiece(pieceName);
         const coords = piece.orientations[placement.orientationIndex];
         const isHighlighted = pieceName === uiState.highlightedPiece;
-        drawPiece(ctx, coords, placement.row, placement.col, piece.color, config, {
+        drawPiece(ctx, coords, placement.row, placement.col, getPieceColor(getTheme(config), pieceName), config, {
             opacity: 0.8,
-            isHighlighted
+            isHighlighted,
+            pattern: config.patterns ? getPiecePattern(pieceName) : null
         });
     });
 
+    // Draw hint ghost
+    if (uiState.hint) {
+        const { pieceName, placement } = uiState.hint;
+        const piece = getPiece(pieceName);
+        const coords = piece.orientations[placement.orientationIndex];
+        drawPiece(ctx, coords, placement.row, placement.col, getPieceColor(getTheme(config), pieceName), config, {
+            opacity: 0.45,
+            isGhost: true,
+            pattern: config.patterns ? getPiecePattern(pieceName) : null
+        });
+    }
+
     // Draw preview of selected piece
     drawPreview(ctx, uiState, gameModel.occupiedSquares, currentDate, config);
+
+    // Draw keyboard cursor on top of everything
+    if (uiState.keyboardCursor) {
+        drawKeyboardCursor(ctx, uiState.keyboardCursor.row, uiState.keyboardCursor.col, config);
+    }
 }
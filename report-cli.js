@@ -0,0 +1,32 @@
+// report-cli.js - Print the date solvability report from Node
+// Usage: node report-cli.js [--mode <id>] [--max <n>] [--json]
+//   --mode  Game mode to report on (see variants.js, default: classic)
+//   --max   Stop counting each date at this many solutions (much faster on large boards)
+//   --json  Print the report as JSON instead of a table
+// Exits with status 1 if any real date has no solution.
+
+import { VARIANTS, DEFAULT_VARIANT_ID, activateVariant } from './variants.js';
+import { buildSolvabilityReport, formatReportTable } from './report.js';
+
+const args = process.argv.slice(2);
+const getOption = (name) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+
+const modeId = getOption('--mode') || DEFAULT_VARIANT_ID;
+if (!Object.hasOwn(VARIANTS, modeId)) {
+    console.error(`Unknown mode "${modeId}". Available: ${Object.keys(VARIANTS).join(', ')}`);
+    process.exit(2);
+}
+const maxSolutions = getOption('--max') ? Number(getOption('--max')) : Infinity;
+if (!(maxSolutions >= 1)) {
+    console.error('--max must be a number of at least 1');
+    process.exit(2);
+}
+
+activateVariant(VARIANTS[modeId]);
+const report = buildSolvabilityReport({ maxSolutions });
+
+console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatReportTable(report));
+process.exitCode = report.summary.unsolvableRealDates.length > 0 ? 1 : 0;
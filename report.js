@@ -0,0 +1,172 @@
+// report.js - Solvability report for every date on the active board
+// Goes through every month/day pair that has squares on the board (including ones that
+// are not real dates, like Feb 30) and counts its solutions with the active piece set.
+// Used by report-cli.js (Node) and report.html (browser debug page).
+
+import {
+    MONTH_NAMES, WEEKDAY_NAMES, SQUARE_TYPE, getAllSquares, getActiveLayout, initializeGrid, getDaysInMonth
+} from './grid.js';
+import { pieces, getActivePieceSet } from './pieces.js';
+import { countSolutions } from './solver.js';
+import { scoreDifficulty } from './difficulty.js';
+
+/**
+ * @typedef {Object} ReportEntry
+ * @property {number} monthIndex - Month index (0-11)
+ * @property {number} dayNumber - Day of month (1-31)
+ * @property {number} [weekday] - Day of week (0-6, Sunday=0), on boards with weekday squares
+ * @property {string} label - Readable date, e.g. "Feb 30" or "Mon Oct 19"
+ * @property {boolean} isRealDate - False for dates that never occur (e.g. Feb 30)
+ * @property {number} solutions - Number of solutions (a lower bound if not complete)
+ * @property {boolean} complete - False if counting stopped at maxSolutions
+ * @property {boolean} solvable - True if at least one solution exists
+ * @property {string|null} difficulty - Difficulty tier, or null if counting stopped early
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {string} layout - Layout id
+ * @property {string} pieceSet - Piece set id
+ * @property {Object} summary - Totals, unsolvable real dates and hardest dates (see summarizeReport)
+ * @property {Array<ReportEntry>} entries - One entry per date
+ */
+
+/**
+ * Every date the active board can show, in calendar order.
+ * Weekday boards list each month/day once per weekday.
+ * @returns {Array<Object>} Dates as { monthIndex, dayNumber, weekday? }
+ */
+export function getBoardDates() {
+    const squares = getAllSquares().map(([, , square]) => square);
+    const valuesOf = (type, property) => squares
+        .filter(square => square.type === type)
+        .map(square => square[property])
+        .sort((a, b) => a - b);
+
+    const weekdays = valuesOf(SQUARE_TYPE.WEEKDAY, 'weekday');
+    const dates = [];
+    valuesOf(SQUARE_TYPE.MONTH, 'monthIndex').forEach(monthIndex => {
+        valuesOf(SQUARE_TYPE.DAY, 'dayNumber').forEach(dayNumber => {
+            if (weekdays.length === 0) {
+                dates.push({ monthIndex, dayNumber });
+            } else {
+                weekdays.forEach(weekday => dates.push({ monthIndex, dayNumber, weekday }));
+            }
+        });
+    });
+    return dates;
+}
+
+/**
+ * Readable label for a date
+ * @param {Object} date - { monthIndex, dayNumber, weekday? }
+ * @returns {string} e.g. "Oct 19" or "Mon Oct 19"
+ */
+function formatDateLabel(date) {
+    const label = `${MONTH_NAMES[date.monthIndex].substring(0, 3)} ${date.dayNumber}`;
+    return date.weekday === undefined ? label : `${WEEKDAY_NAMES[date.weekday].substring(0, 3)} ${label}`;
+}
+
+/**
+ * Count solutions for every board date, one entry at a time, so callers can show progress.
+ * @param {Object} [options] - { maxSolutions } stops each count early (default: count all)
+ * @yields {ReportEntry}
+ */
+export function* generateReportEntries(options = {}) {
+    const { maxSolutions = Infinity } = options;
+    const grid = initializeGrid();
+
+    for (const date of getBoardDates()) {
+        const result = countSolutions(grid, pieces, date, maxSolutions);
+        const { count, complete } = result;
+        yield {
+            ...date,
+            label: formatDateLabel(date),
+            isRealDate: date.dayNumber <= getDaysInMonth(date.monthIndex),
+            solutions: count,
+            complete,
+            solvable: count > 0,
+            difficulty: complete ? scoreDifficulty(result).tier : null
+        };
+    }
+}
+
+/**
+ * Summarize report entries.
+ * @param {Array<ReportEntry>} entries - Entries from generateReportEntries()
+ * @param {number} [hardestCount=10] - How many of the hardest real dates to list
+ * @returns {Object} { dates, realDates, solvableRealDates, unsolvableRealDates, solvableImpossibleDates, hardest }
+ */
+export function summarizeReport(entries, hardestCount = 10) {
+    const realEntries = entries.filter(entry => entry.isRealDate);
+    return {
+        dates: entries.length,
+        realDates: realEntries.length,
+        solvableRealDates: realEntries.filter(entry => entry.solvable).length,
+        unsolvableRealDates: realEntries.filter(entry => !entry.solvable).map(entry => entry.label),
+        solvableImpossibleDates: entries.filter(entry => !entry.isRealDate && entry.solvable).length,
+        hardest: realEntries
+            .filter(entry => entry.solvable)
+            .sort((a, b) => a.solutions - b.solutions)
+            .slice(0, hardestCount)
+            .map(({ label, solutions }) => ({ label, solutions }))
+    };
+}
+
+/**
+ * Wrap finished entries in a report for the active layout and piece set.
+ * @param {Array<ReportEntry>} entries - Entries from generateReportEntries()
+ * @returns {Report} JSON-serializable report
+ */
+export function createReport(entries) {
+    return {
+        layout: getActiveLayout().id,
+        pieceSet: getActivePieceSet().id,
+        summary: summarizeReport(entries),
+        entries
+    };
+}
+
+/**
+ * Build the full report for the active layout and piece set.
+ * @param {Object} [options] - { maxSolutions } stops each count early (default: count all)
+ * @returns {Report} JSON-serializable report
+ */
+export function buildSolvabilityReport(options = {}) {
+    const entries = [...generateReportEntries(options)];
+    return createReport(entries);
+}
+
+/**
+ * Format a report as a plain-text table followed by the summary.
+ * @param {Report} report - Report from buildSolvabilityReport()
+ * @returns {string} Multi-line table
+ */
+export function formatReportTable(report) {
+    const rows = [['Date', 'Real date', 'Solutions', 'Difficulty']];
+    report.entries.forEach(entry => {
+        rows.push([
+            entry.label,
+            entry.isRealDate ? 'yes' : 'no',
+            entry.complete ? String(entry.solutions) : `${entry.solutions}+`,
+            entry.difficulty || '-'
+        ]);
+    });
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const lines = rows.map(row => row.map((cell, column) =>
+        (column === 2 ? cell.padStart(widths[column]) : cell.padEnd(widths[column]))
+    ).join('  '));
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+    const { summary } = report;
+    lines.push(
+        '',
+        `Layout: ${report.layout}, piece set: ${report.pieceSet}`,
+        `Real dates solvable: ${summary.solvableRealDates} of ${summary.realDates}`,
+        `Unsolvable real dates: ${summary.unsolvableRealDates.length > 0 ? summary.unsolvableRealDates.join(', ') : 'none'}`,
+        `Impossible dates (e.g. Feb 30) with solutions: ${summary.solvableImpossibleDates}`,
+        `Hardest real dates: ${summary.hardest.map(({ label, solutions }) => `${label} (${solutions})`).join(', ')}`
+    );
+    return lines.join('\n');
+}
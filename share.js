@@ -0,0 +1,227 @@
+// share.js - Share codes and result cards for solved boards
+// A share code packs the date and every piece placement into a short URL-safe string.
+// Codes are read against the active layout and piece set, so a link must open the same mode.
+// A result card is spoiler-free text (date, time, streak, emoji board) for pasting into chat.
+
+import {
+    GRID_ROWS, GRID_COLS, MONTH_NAMES, WEEKDAY_NAMES, initializeGrid, getRenderGrid, pieceToGridCoords,
+    isValidPlacement, isCurrentDateSquare, hasWeekdaySquares, getDaysInMonth, getMostRecentYear
+} from './grid.js';
+import { getPiece, getPieceNames } from './pieces.js';
+import { createGameModel, placePiece, checkWinCondition } from './gameLogic.js';
+import { formatTime } from './timer.js';
+
+/**
+ * @typedef {Object} Placement
+ * @property {number} row - Grid row position of the piece origin
+ * @property {number} col - Grid column position of the piece origin
+ * @property {number} orientationIndex - Index into the piece's orientations array
+ */
+
+/**
+ * @typedef {Object} CurrentDate
+ * @property {number} monthIndex - Month index (0-11, January=0)
+ * @property {number} dayNumber - Day of month (1-31)
+ * @property {number} [year] - Full year, used for stats keys (defaults to the current year)
+ * @property {number} [weekday] - Day of week (0-6, Sunday=0), a target on weekday boards
+ */
+
+/**
+ * @typedef {Object} GameModel
+ * @property {Array<Array<Object>>} grid - 2D grid of calendar squares
+ * @property {Map<string, Placement>} placedPieces - Map of piece names to their placements
+ * @property {Set<string>} occupiedSquares - Set of "row,col" strings for occupied grid positions
+ */
+
+// Emoji for each cell of the result card board
+const CARD_EMOJI = {
+    blank: '⬜',     // Not part of the calendar
+    covered: '🟪',   // Covered by a piece (which piece is not revealed)
+    uncovered: '⬛', // Calendar square left uncovered
+    date: '📅'       // The puzzle's month and day
+};
+
+// Format version, stored in the first character of every code
+const SHARE_CODE_VERSION = 1;
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Bit widths of each field
+const MONTH_BITS = 4;
+const DAY_BITS = 5;
+const WEEKDAY_BITS = 3; // Only written on boards with weekday squares
+const ORIENTATION_BITS = 3; // Up to 8 orientations per piece
+
+/**
+ * Number of bits needed to store values 0..(count - 1).
+ * @param {number} count - Number of distinct values
+ * @returns {number} Bit width
+ */
+function bitsFor(count) {
+    return Math.max(1, Math.ceil(Math.log2(count)));
+}
+
+/**
+ * Encode a solved board as a share code.
+ * Pieces are stored in getPieceNames() order as orientation index plus origin row/col.
+ * On boards with weekday squares the weekday follows the day.
+ * @param {Map<string, Placement>} placedPieces - Placements of every piece
+ * @param {CurrentDate} currentDate - Date the board was solved for
+ * @returns {string} URL-safe share code
+ */
+export function encodeShareCode(placedPieces, currentDate) {
+    const bits = [];
+    const write = (value, width) => {
+        for (let i = width - 1; i >= 0; i--) {
+            bits.push((value >> i) & 1);
+        }
+    };
+
+    write(currentDate.monthIndex, MONTH_BITS);
+    write(currentDate.dayNumber, DAY_BITS);
+    if (hasWeekdaySquares()) {
+        write(currentDate.weekday, WEEKDAY_BITS);
+    }
+    getPieceNames().forEach(pieceName => {
+        const { row, col, orientationIndex } = placedPieces.get(pieceName);
+        write(orientationIndex, ORIENTATION_BITS);
+        write(row, bitsFor(GRID_ROWS));
+        write(col, bitsFor(GRID_COLS));
+    });
+
+    let code = BASE64URL[SHARE_CODE_VERSION];
+    for (let i = 0; i < bits.length; i += 6) {
+        const chunk = bits.slice(i, i + 6);
+        while (chunk.length < 6) chunk.push(0);
+        code += BASE64URL[parseInt(chunk.join(''), 2)];
+    }
+    return code;
+}
+
+/**
+ * Decode a share code, rejecting codes that are malformed or not a legal solution.
+ * Every placement is checked with isValidPlacement and the finished board with
+ * checkWinCondition.
+ * @param {string} code - Share code from encodeShareCode()
+ * @returns {{currentDate: CurrentDate, placedPieces: Map<string, Placement>}|null} Decoded board, or null if invalid
+ */
+export function decodeShareCode(code) {
+    if (typeof code !== 'string' || code.length < 2 || BASE64URL.indexOf(code[0]) !== SHARE_CODE_VERSION) {
+        return null;
+    }
+
+    const bits = [];
+    for (const char of code.slice(1)) {
+        const value = BASE64URL.indexOf(char);
+        if (value < 0) return null;
+        for (let i = 5; i >= 0; i--) {
+            bits.push((value >> i) & 1);
+        }
+    }
+
+    const pieceNames = getPieceNames();
+    const rowBits = bitsFor(GRID_ROWS);
+    const colBits = bitsFor(GRID_COLS);
+    const weekdayBits = hasWeekdaySquares() ? WEEKDAY_BITS : 0;
+    const expectedBits = MONTH_BITS + DAY_BITS + weekdayBits +
+        pieceNames.length * (ORIENTATION_BITS + rowBits + colBits);
+    if (bits.length !== Math.ceil(expectedBits / 6) * 6 || bits.slice(expectedBits).some(bit => bit !== 0)) {
+        return null;
+    }
+
+    let position = 0;
+    const read = (width) => {
+        let value = 0;
+        for (let i = 0; i < width; i++) {
+            value = (value << 1) | bits[position++];
+        }
+        return value;
+    };
+
+    const monthIndex = read(MONTH_BITS);
+    const dayNumber = read(DAY_BITS);
+    if (monthIndex > 11 || dayNumber < 1 || dayNumber > getDaysInMonth(monthIndex)) {
+        return null;
+    }
+    const currentDate = { monthIndex, dayNumber, year: getMostRecentYear(monthIndex, dayNumber) };
+    if (weekdayBits > 0) {
+        currentDate.weekday = read(weekdayBits);
+        if (currentDate.weekday > 6) {
+            return null;
+        }
+    }
+
+    const gameModel = createGameModel(initializeGrid());
+    for (const pieceName of pieceNames) {
+        const orientationIndex = read(ORIENTATION_BITS);
+        const row = read(rowBits);
+        const col = read(colBits);
+
+        const piece = getPiece(pieceName);
+        if (orientationIndex >= piece.orientations.length) {
+            return null;
+        }
+        const gridCoords = pieceToGridCoords(piece.orientations[orientationIndex], row, col);
+        if (!isValidPlacement(gridCoords, gameModel.occupiedSquares, currentDate)) {
+            return null;
+        }
+        placePiece(gameModel, pieceName, row, col, orientationIndex);
+    }
+
+    if (!checkWinCondition(gameModel, currentDate)) {
+        return null;
+    }
+    return { currentDate, placedPieces: gameModel.placedPieces };
+}
+
+/**
+ * Build a spoiler-free emoji board: covered squares all look alike, so the card
+ * shows the date squares but not how the pieces were placed.
+ * @param {GameModel} gameModel - The game model
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @returns {string} One line of emoji per grid row
+ */
+export function buildEmojiBoard(gameModel, currentDate) {
+    const renderGrid = getRenderGrid();
+    const lines = [];
+
+    for (let row = 0; row < GRID_ROWS; row++) {
+        let line = '';
+        for (let col = 0; col < GRID_COLS; col++) {
+            const square = renderGrid[row][col];
+            if (!square.isCalendarSquare) {
+                line += CARD_EMOJI.blank;
+            } else if (isCurrentDateSquare(square, currentDate)) {
+                line += CARD_EMOJI.date;
+            } else if (gameModel.occupiedSquares.has(`${row},${col}`)) {
+                line += CARD_EMOJI.covered;
+            } else {
+                line += CARD_EMOJI.uncovered;
+            }
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Build the text result card shared after a win.
+ * @param {GameModel} gameModel - The game model
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @param {Object} details - { solveSeconds, streak, url }
+ * @returns {string} Multi-line result text
+ */
+export function buildResultCard(gameModel, currentDate, details) {
+    const { solveSeconds, streak, url } = details;
+    let dateLabel = `${MONTH_NAMES[currentDate.monthIndex].substring(0, 3)} ${currentDate.dayNumber}`;
+    if (hasWeekdaySquares()) {
+        dateLabel = `${WEEKDAY_NAMES[currentDate.weekday].substring(0, 3)} ${dateLabel}`;
+    }
+
+    return [
+        `Polyomino Calendar · ${dateLabel}`,
+        `⏱️ ${formatTime(solveSeconds)} | 🔥 Streak: ${streak}`,
+        buildEmojiBoard(gameModel, currentDate),
+        url
+    ].join('\n');
+}
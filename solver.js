@@ -0,0 +1,203 @@
+// solver.js - Exact-cover solver for the calendar puzzle
+// Enumerates every tiling of the board for a date using the pieces' precomputed
+// orientations and the same placement rules as the game (isValidPlacement).
+
+import { SQUARE_TYPE, pieceToGridCoords, isValidPlacement, isCurrentDateSquare } from './grid.js';
+
+/**
+ * @typedef {Object} Placement
+ * @property {number} row - Grid row position of the piece origin
+ * @property {number} col - Grid column position of the piece origin
+ * @property {number} orientationIndex - Index into the piece's orientations array
+ */
+
+/**
+ * @typedef {Object} CurrentDate
+ * @property {number} monthIndex - Month index (0-11, January=0)
+ * @property {number} dayNumber - Day of month (1-31)
+ * @property {number} [year] - Full year, used for stats keys (defaults to the current year)
+ */
+
+/**
+ * @typedef {Object} SolveOptions
+ * @property {string} [mode] - One of SOLVE_MODE (default: SOLVE_MODE.FIRST)
+ * @property {number} [maxSolutions] - Stop after this many solutions (default: unlimited)
+ * @property {Map<string, Placement>} [placedPieces] - Pieces already on the board; solutions must keep them
+ */
+
+/**
+ * @typedef {Object} SolveResult
+ * @property {Array<Map<string, Placement>>} solutions - Solutions found (empty in COUNT mode)
+ * @property {number} count - Number of solutions found
+ * @property {boolean} complete - True if the search space was exhausted, false if it stopped early
+ * @property {number} nodes - Number of piece placements tried (a measure of search effort)
+ */
+
+/**
+ * Solver modes
+ */
+export const SOLVE_MODE = {
+    FIRST: 'first', // Stop at the first solution
+    ALL: 'all',     // Collect every solution (up to maxSolutions)
+    COUNT: 'count'  // Count solutions without keeping them (up to maxSolutions)
+};
+
+/**
+ * Build every legal placement of every piece on the empty board.
+ * @param {Array<Array<Object>>} grid - The grid from initializeGrid()
+ * @param {Object} pieces - Map of piece names to piece definitions
+ * @param {CurrentDate} currentDate - Date whose squares must stay uncovered
+ * @returns {Map<string, Array<{placement: Placement, cells: number[]}>>} Candidates per piece,
+ *          with cells as row-major indices into the grid
+ */
+function buildCandidates(grid, pieces, currentDate) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const empty = new Set();
+    const candidates = new Map();
+
+    Object.keys(pieces).forEach(pieceName => {
+        const list = [];
+        pieces[pieceName].orientations.forEach((coords, orientationIndex) => {
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const gridCoords = pieceToGridCoords(coords, row, col);
+                    if (isValidPlacement(gridCoords, empty, currentDate)) {
+                        list.push({
+                            placement: { row, col, orientationIndex },
+                            cells: gridCoords.map(([r, c]) => r * cols + c)
+                        });
+                    }
+                }
+            }
+        });
+        candidates.set(pieceName, list);
+    });
+
+    return candidates;
+}
+
+/**
+ * Find tilings of the board for a date.
+ * Every piece must be used exactly once and every calendar square except the
+ * current month and day must be covered.
+ * @param {Array<Array<Object>>} grid - The grid from initializeGrid()
+ * @param {Object} pieces - Map of piece names to piece definitions (see pieces.js)
+ * @param {CurrentDate} currentDate - Date whose squares must stay uncovered
+ * @param {SolveOptions} [options] - Search mode and solution cap
+ * @returns {SolveResult} Solutions as Map<pieceName, Placement>, ready for placePiece()
+ */
+export function solve(grid, pieces, currentDate, options = {}) {
+    const { mode = SOLVE_MODE.FIRST, maxSolutions = Infinity, placedPieces = new Map() } = options;
+    const limit = mode === SOLVE_MODE.FIRST ? 1 : maxSolutions;
+
+    const cols = grid[0].length;
+    const candidates = buildCandidates(grid, pieces, currentDate);
+    const pieceNames = Object.keys(pieces);
+
+    // Cells that must be covered, in row-major order
+    const covered = new Uint8Array(grid.length * cols);
+    const targetCells = [];
+    grid.forEach((rowSquares, row) => {
+        rowSquares.forEach((square, col) => {
+            if (square.type === SQUARE_TYPE.EMPTY || isCurrentDateSquare(square, currentDate)) return;
+            targetCells.push(row * cols + col);
+        });
+    });
+
+    // Index candidates by the cell they cover so each step only tries placements
+    // that fill the first uncovered cell
+    const byCell = new Map(targetCells.map(cell => [cell, []]));
+    pieceNames.forEach(pieceName => {
+        candidates.get(pieceName).forEach(candidate => {
+            candidate.cells.forEach(cell => {
+                byCell.get(cell)?.push({ pieceName, candidate });
+            });
+        });
+    });
+
+    const totalArea = pieceNames.reduce((sum, name) => sum + pieces[name].orientations[0].length, 0);
+    const result = { solutions: [], count: 0, complete: true, nodes: 0 };
+    if (totalArea !== targetCells.length) {
+        return result;
+    }
+
+    const used = new Set();
+    const chosen = new Map();
+
+    // Fix any pieces already on the board in place
+    for (const [pieceName, placement] of placedPieces) {
+        const coords = pieces[pieceName].orientations[placement.orientationIndex];
+        const cells = pieceToGridCoords(coords, placement.row, placement.col).map(([r, c]) => r * cols + c);
+        if (cells.some(cell => covered[cell] || !byCell.has(cell))) {
+            return result;
+        }
+        cells.forEach(cell => { covered[cell] = 1; });
+        used.add(pieceName);
+        chosen.set(pieceName, placement);
+    }
+
+    function search(startIndex) {
+        let next = startIndex;
+        while (next < targetCells.length && covered[targetCells[next]]) {
+            next++;
+        }
+
+        if (next === targetCells.length) {
+            result.count++;
+            if (mode !== SOLVE_MODE.COUNT) {
+                result.solutions.push(new Map(chosen));
+            }
+            return result.count >= limit;
+        }
+
+        for (const { pieceName, candidate } of byCell.get(targetCells[next])) {
+            if (used.has(pieceName)) continue;
+            if (candidate.cells.some(cell => covered[cell])) continue;
+
+            candidate.cells.forEach(cell => { covered[cell] = 1; });
+            used.add(pieceName);
+            chosen.set(pieceName, candidate.placement);
+            result.nodes++;
+
+            const done = search(next + 1);
+
+            chosen.delete(pieceName);
+            used.delete(pieceName);
+            candidate.cells.forEach(cell => { covered[cell] = 0; });
+
+            if (done) return true;
+        }
+        return false;
+    }
+
+    result.complete = !search(0);
+
+    return result;
+}
+
+/**
+ * Find a single solution for a date.
+ * @param {Array<Array<Object>>} grid - The grid from initializeGrid()
+ * @param {Object} pieces - Map of piece names to piece definitions
+ * @param {CurrentDate} currentDate - Date whose squares must stay uncovered
+ * @param {Map<string, Placement>} [placedPieces] - Pieces already on the board to build around
+ * @returns {Map<string, Placement>|null} A solution, or null if the date is unsolvable
+ */
+export function findSolution(grid, pieces, currentDate, placedPieces = new Map()) {
+    const { solutions } = solve(grid, pieces, currentDate, { mode: SOLVE_MODE.FIRST, placedPieces });
+    return solutions[0] || null;
+}
+
+/**
+ * Count the solutions for a date.
+ * @param {Array<Array<Object>>} grid - The grid from initializeGrid()
+ * @param {Object} pieces - Map of piece names to piece definitions
+ * @param {CurrentDate} currentDate - Date whose squares must stay uncovered
+ * @param {number} [maxSolutions] - Stop counting at this many
+ * @returns {{count: number, complete: boolean, nodes: number}} Count, whether it is exact, and search effort
+ */
+export function countSolutions(grid, pieces, currentDate, maxSolutions = Infinity) {
+    const { count, complete, nodes } = solve(grid, pieces, currentDate, { mode: SOLVE_MODE.COUNT, maxSolutions });
+    return { count, complete, nodes };
+}
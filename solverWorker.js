@@ -0,0 +1,16 @@
+// solverWorker.js - Counts a date's solutions off the main thread
+// Full counts on the larger boards take several seconds, which would freeze the page.
+
+import { initializeGrid } from './grid.js';
+import { pieces } from './pieces.js';
+import { countSolutions } from './solver.js';
+import { getVariant, activateVariant } from './variants.js';
+
+/**
+ * Message: { variantId, currentDate }
+ * Reply: { count, complete, nodes } from countSolutions(), used for the difficulty rating
+ */
+self.onmessage = ({ data }) => {
+    activateVariant(getVariant(data.variantId));
+    self.postMessage(countSolutions(initializeGrid(), pieces, data.currentDate));
+};
@@ -1,10 +1,13 @@
 // storage.js - localStorage persistence for game state and stats
-// All functions are pure with respect to external state (no global dependencies)
+// All functions are pure with respect to external state (no global dependencies),
+// apart from the storage namespace that keeps each game mode's data separate
 
 /**
  * @typedef {Object} CurrentDate
  * @property {number} monthIndex - Month index (0-11, January=0)
  * @property {number} dayNumber - Day of month (1-31)
+ * @property {number} [year] - Full year, used for stats keys (defaults to the current year)
+ * @property {number} [weekday] - Day of week (0-6, Sunday=0), a target on weekday boards
  */
 
 /**
@@ -12,17 +15,20 @@
  * @property {Array<Array<Object>>} grid - 2D grid of calendar squares
  * @property {Map<string, Object>} placedPieces - Map of piece names to their placements
  * @property {Set<string>} occupiedSquares - Set of "row,col" strings for occupied grid positions
+ * @property {{undoStack: Array<Object>, redoStack: Array<Object>}} history - Undo/redo stacks
+ * @property {{elapsedMs: number, startedAt: number|null}} timer - Solve timer
  */
 
 /**
  * @typedef {Object} Stats
+ * @property {number} version - Schema version (STATS_VERSION)
  * @property {number} gamesPlayed - Total number of games played
  * @property {number} gamesWon - Total number of games won
  * @property {number} currentStreak - Current consecutive days solved
  * @property {number} longestStreak - Longest consecutive days solved
- * @property {string|null} lastPlayedDate - Last played date in "M-D" format
+ * @property {string|null} lastPlayedDate - Last daily puzzle played, as an ISO date ("YYYY-MM-DD")
  * @property {number} personalBest - Best time in seconds (999999 if never won)
- * @property {Object<string, DayStats>} stats - Per-day statistics keyed by "M-D"
+ * @property {Object<string, DayStats>} stats - Per-day statistics keyed by ISO date ("YYYY-MM-DD")
  */
 
 /**
@@ -30,26 +36,68 @@
  * @property {boolean} [solved] - Whether the puzzle was solved
  * @property {number} [timeSeconds] - Time taken to solve in seconds
  * @property {number} [timestamp] - Unix timestamp when stats were saved
+ * @property {string} [difficulty] - Difficulty tier of the date (see DIFFICULTY_TIER)
  */
 
+import { getElapsedMs } from './timer.js';
+
 // Storage keys
-const STORAGE_GAME_STATE = 'polyomino-game-state';
+const STORAGE_GAME_STATE = 'polyomino-game-state'; // Legacy single-slot key; per-date keys add a suffix
 const STORAGE_STATS = 'polyomino-stats';
 const STORAGE_LAST_DATE = 'polyomino-last-date';
+const STORAGE_SOLUTIONS = 'polyomino-solutions';
+const STORAGE_THEME = 'polyomino-theme'; // Shared by all game modes
+const STORAGE_PATTERNS = 'polyomino-patterns'; // Shared by all game modes
+
+// Stats schema version. Version 1 (no version field) keyed days as "M-D" with no year.
+const STATS_VERSION = 2;
+
+// Suffix added to every key for the active game mode ('' keeps the classic keys)
+let storageNamespace = '';
+
+/**
+ * Keep saved games, stats and solutions separate per game mode.
+ * @param {string} namespace - Mode id, or '' for the classic game
+ */
+export function setStorageNamespace(namespace) {
+    storageNamespace = namespace;
+}
+
+/**
+ * Add the active namespace to a storage key.
+ * @param {string} key - Base storage key
+ * @returns {string} Namespaced key
+ */
+function getStorageKey(key) {
+    return storageNamespace ? `${key}-${storageNamespace}` : key;
+}
+
+/**
+ * Get the localStorage key holding the saved game for a date.
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @returns {string} Storage key
+ */
+function getGameStateKey(currentDate) {
+    return `${getStorageKey(STORAGE_GAME_STATE)}-${currentDate.monthIndex}-${currentDate.dayNumber}`;
+}
 
 /**
  * Save the current game state to localStorage.
+ * Each date has its own slot so archive puzzles keep their progress.
  * @param {GameModel} gameModel - The game model containing placedPieces and occupiedSquares
- * @param {CurrentDate} currentDate - Current date for state versioning
+ * @param {CurrentDate} currentDate - Date of the puzzle being played
  */
 export function saveGameState(gameModel, currentDate) {
     const gameData = {
         date: `${currentDate.monthIndex}-${currentDate.dayNumber}`,
+        weekday: currentDate.weekday,
         placedPieces: Array.from(gameModel.placedPieces.entries()),
-        occupiedSquares: Array.from(gameModel.occupiedSquares)
+        occupiedSquares: Array.from(gameModel.occupiedSquares),
+        history: gameModel.history,
+        elapsedMs: getElapsedMs(gameModel.timer)
     };
     try {
-        localStorage.setItem(STORAGE_GAME_STATE, JSON.stringify(gameData));
+        localStorage.setItem(getGameStateKey(currentDate), JSON.stringify(gameData));
     } catch (e) {
         console.error('Failed to save game state:', e);
     }
@@ -57,20 +105,25 @@ export function saveGameState(gameModel, currentDate) {
 
 /**
  * Load game state from localStorage.
- * @param {CurrentDate} currentDate - Current date for state versioning
- * @returns {Object|null} Loaded game data { placedPieces, occupiedSquares } or null if not found/invalid
+ * Falls back to the legacy single-slot key for games saved before per-date slots.
+ * @param {CurrentDate} currentDate - Date of the puzzle being played
+ * @returns {Object|null} Loaded game data { placedPieces, occupiedSquares, history, elapsedMs } or null if not found/invalid
  */
 export function loadGameState(currentDate) {
-    const saved = localStorage.getItem(STORAGE_GAME_STATE);
+    const saved = localStorage.getItem(getGameStateKey(currentDate)) || localStorage.getItem(getStorageKey(STORAGE_GAME_STATE));
     if (!saved) return null;
 
     try {
         const gameData = JSON.parse(saved);
-        // Only return if it's for today
-        if (gameData.date === `${currentDate.monthIndex}-${currentDate.dayNumber}`) {
+        // Only return if it's for the requested date (and weekday, when both sides know it)
+        const isSameWeekday = gameData.weekday === undefined || currentDate.weekday === undefined ||
+            gameData.weekday === currentDate.weekday;
+        if (gameData.date === `${currentDate.monthIndex}-${currentDate.dayNumber}` && isSameWeekday) {
             return {
                 placedPieces: gameData.placedPieces || [],
-                occupiedSquares: gameData.occupiedSquares || []
+                occupiedSquares: gameData.occupiedSquares || [],
+                history: gameData.history || { undoStack: [], redoStack: [] },
+                elapsedMs: gameData.elapsedMs || 0
             };
         }
     } catch (e) {
@@ -80,10 +133,12 @@ export function loadGameState(currentDate) {
 }
 
 /**
- * Clear saved game state from localStorage.
+ * Clear saved game state for a date from localStorage.
+ * @param {CurrentDate} currentDate - Date of the puzzle to clear
  */
-export function clearGameState() {
-    localStorage.removeItem(STORAGE_GAME_STATE);
+export function clearGameState(currentDate) {
+    localStorage.removeItem(getGameStateKey(currentDate));
+    localStorage.removeItem(getStorageKey(STORAGE_GAME_STATE));
 }
 
 /**
@@ -92,7 +147,7 @@ export function clearGameState() {
  * @returns {boolean} True if the last played date differs from today
  */
 export function shouldResetForNewDay(currentDate) {
-    const lastDate = localStorage.getItem(STORAGE_LAST_DATE);
+    const lastDate = localStorage.getItem(getStorageKey(STORAGE_LAST_DATE));
     const today = `${currentDate.monthIndex}-${currentDate.dayNumber}`;
 
     if (!lastDate) return false; // First time, no reset needed
@@ -104,7 +159,78 @@ export function shouldResetForNewDay(currentDate) {
  * @param {CurrentDate} currentDate - Current date to record
  */
 export function setLastPlayedDate(currentDate) {
-    localStorage.setItem(STORAGE_LAST_DATE, `${currentDate.monthIndex}-${currentDate.dayNumber}`);
+    localStorage.setItem(getStorageKey(STORAGE_LAST_DATE), `${currentDate.monthIndex}-${currentDate.dayNumber}`);
+}
+
+/**
+ * Load the player's theme choice.
+ * @returns {string|null} Theme id or 'auto', or null if never chosen
+ */
+export function loadThemeChoice() {
+    try {
+        return localStorage.getItem(STORAGE_THEME);
+    } catch (e) {
+        console.error('Failed to load theme choice:', e);
+        return null;
+    }
+}
+
+/**
+ * Remember the player's theme choice for every game mode.
+ * @param {string} choice - Theme id or 'auto'
+ */
+export function saveThemeChoice(choice) {
+    try {
+        localStorage.setItem(STORAGE_THEME, choice);
+    } catch (e) {
+        console.error('Failed to save theme choice:', e);
+    }
+}
+
+/**
+ * Whether the player turned on piece fill patterns.
+ * @returns {boolean}
+ */
+export function loadPatternsEnabled() {
+    try {
+        return localStorage.getItem(STORAGE_PATTERNS) === 'on';
+    } catch (e) {
+        console.error('Failed to load pattern setting:', e);
+        return false;
+    }
+}
+
+/**
+ * Remember whether piece fill patterns are on, for every game mode.
+ * @param {boolean} enabled - Whether to draw patterns
+ */
+export function savePatternsEnabled(enabled) {
+    try {
+        localStorage.setItem(STORAGE_PATTERNS, enabled ? 'on' : 'off');
+    } catch (e) {
+        console.error('Failed to save pattern setting:', e);
+    }
+}
+
+/**
+ * Format a date as an ISO date string ("YYYY-MM-DD") for stats keys.
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Month index (0-11)
+ * @param {number} dayNumber - Day of month (1-31)
+ * @returns {string} ISO date
+ */
+function toISODate(year, monthIndex, dayNumber) {
+    return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`;
+}
+
+/**
+ * Stats key of a puzzle date.
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @returns {string} ISO date, in the current year if the date has none
+ */
+function getStatsDateKey(currentDate) {
+    const year = currentDate.year ?? new Date().getFullYear();
+    return toISODate(year, currentDate.monthIndex, currentDate.dayNumber);
 }
 
 /**
@@ -113,6 +239,7 @@ export function setLastPlayedDate(currentDate) {
  */
 function getDefaultStats() {
     return {
+        version: STATS_VERSION,
         gamesPlayed: 0,
         gamesWon: 0,
         currentStreak: 0,
@@ -123,15 +250,65 @@ function getDefaultStats() {
     };
 }
 
+/**
+ * Convert version 1 stats (days keyed "M-D" with no year) to ISO date keys.
+ * Each day's year comes from its save timestamp; days without one are assumed to be
+ * the most recent occurrence of that date. Solve times of 0 were never measured
+ * (the game did not time solves yet), so they are dropped and the personal best is
+ * recomputed from the remaining times.
+ * @param {Object} oldStats - Version 1 stats object
+ * @returns {Stats} Migrated stats
+ */
+function migrateStatsV1(oldStats) {
+    const now = new Date();
+    const stats = { ...getDefaultStats(), ...oldStats, version: STATS_VERSION, stats: {} };
+    const isoByOldKey = {};
+
+    Object.entries(oldStats.stats || {}).forEach(([oldKey, dayStats]) => {
+        const [month, day] = oldKey.split('-').map(Number);
+        let year;
+        if (dayStats.timestamp) {
+            year = new Date(dayStats.timestamp).getFullYear();
+        } else {
+            const isLaterThisYear = month - 1 > now.getMonth() || (month - 1 === now.getMonth() && day > now.getDate());
+            year = isLaterThisYear ? now.getFullYear() - 1 : now.getFullYear();
+        }
+
+        const isoKey = toISODate(year, month - 1, day);
+        const migrated = { ...dayStats };
+        if (migrated.timeSeconds === 0) {
+            delete migrated.timeSeconds;
+        }
+        stats.stats[isoKey] = migrated;
+        isoByOldKey[oldKey] = isoKey;
+    });
+
+    stats.lastPlayedDate = isoByOldKey[oldStats.lastPlayedDate] || null;
+
+    const times = Object.values(stats.stats)
+        .filter(dayStats => dayStats.solved && dayStats.timeSeconds > 0)
+        .map(dayStats => dayStats.timeSeconds);
+    stats.personalBest = times.length > 0 ? Math.min(...times) : getDefaultStats().personalBest;
+
+    return stats;
+}
+
 /**
  * Load stats from localStorage.
+ * Stats saved in an older schema are migrated and written back once.
  * @returns {Stats} Stats object (default if not found)
  */
 export function loadStats() {
     try {
-        const saved = localStorage.getItem(STORAGE_STATS);
+        const saved = localStorage.getItem(getStorageKey(STORAGE_STATS));
         if (saved) {
-            return { ...getDefaultStats(), ...JSON.parse(saved) };
+            const parsed = JSON.parse(saved);
+            if (!parsed.version) {
+                const migrated = migrateStatsV1(parsed);
+                localStorage.setItem(getStorageKey(STORAGE_STATS), JSON.stringify(migrated));
+                return migrated;
+            }
+            return { ...getDefaultStats(), ...parsed };
         }
     } catch (e) {
         console.error('Failed to load stats:', e);
@@ -141,14 +318,19 @@ export function loadStats() {
 
 /**
  * Save stats after a game.
+ * Archive puzzles (dates other than today) record their own solved flag but do
+ * not affect the daily streak.
  * @param {boolean} solved - Whether the puzzle was solved
  * @param {number} timeSeconds - Time taken to solve (0 if not solved)
- * @param {CurrentDate} currentDate - Current date for stats recording
+ * @param {CurrentDate} currentDate - Date of the puzzle being recorded
+ * @param {string} [difficulty] - Difficulty tier of the date, if known
  */
-export function saveStats(solved, timeSeconds, currentDate) {
+export function saveStats(solved, timeSeconds, currentDate, difficulty) {
     let stats = loadStats();
 
-    const dateKey = `${currentDate.monthIndex + 1}-${currentDate.dayNumber}`;
+    const now = new Date();
+    const dateKey = getStatsDateKey(currentDate);
+    const isToday = dateKey === toISODate(now.getFullYear(), now.getMonth(), now.getDate());
 
     if (!stats.stats[dateKey]) {
         stats.gamesPlayed++;
@@ -160,18 +342,20 @@ export function saveStats(solved, timeSeconds, currentDate) {
         stats.stats[dateKey].solved = true;
         stats.stats[dateKey].timeSeconds = timeSeconds;
 
-        // Update streak
-        const yesterday = new Date(new Date().setDate(new Date().getDate() - 1));
-        const yesterdayKey = `${yesterday.getMonth() + 1}-${yesterday.getDate()}`;
+        // Update streak (daily puzzle only)
+        if (isToday) {
+            const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+            const yesterdayKey = toISODate(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate());
 
-        if (stats.lastPlayedDate === yesterdayKey && stats.stats[yesterdayKey]?.solved) {
-            stats.currentStreak++;
-        } else {
-            stats.currentStreak = 1;
-        }
+            if (stats.lastPlayedDate === yesterdayKey && stats.stats[yesterdayKey]?.solved) {
+                stats.currentStreak++;
+            } else {
+                stats.currentStreak = 1;
+            }
 
-        if (stats.currentStreak > stats.longestStreak) {
-            stats.longestStreak = stats.currentStreak;
+            if (stats.currentStreak > stats.longestStreak) {
+                stats.longestStreak = stats.currentStreak;
+            }
         }
 
         if (timeSeconds < stats.personalBest) {
@@ -179,12 +363,88 @@ export function saveStats(solved, timeSeconds, currentDate) {
         }
     }
 
-    stats.lastPlayedDate = dateKey;
+    if (isToday) {
+        stats.lastPlayedDate = dateKey;
+    }
+    if (difficulty) {
+        stats.stats[dateKey].difficulty = difficulty;
+    }
     stats.stats[dateKey].timestamp = new Date().getTime();
 
     try {
-        localStorage.setItem(STORAGE_STATS, JSON.stringify(stats));
+        localStorage.setItem(getStorageKey(STORAGE_STATS), JSON.stringify(stats));
+    } catch (e) {
+        console.error('Failed to save stats:', e);
+    }
+}
+
+/**
+ * Record the difficulty tier of a date that was solved before its tier was known
+ * (the solver worker can reply after the win).
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @param {string} difficulty - Difficulty tier of the date
+ */
+export function saveDifficulty(currentDate, difficulty) {
+    const stats = loadStats();
+    const dayStats = stats.stats[getStatsDateKey(currentDate)];
+    if (!dayStats?.solved || dayStats.difficulty) {
+        return;
+    }
+
+    dayStats.difficulty = difficulty;
+    try {
+        localStorage.setItem(getStorageKey(STORAGE_STATS), JSON.stringify(stats));
     } catch (e) {
         console.error('Failed to save stats:', e);
     }
 }
+
+/**
+ * Whether a date's puzzle has already been solved, so later wins add to the
+ * solution collection without counting as another game won.
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @returns {boolean}
+ */
+export function isDateSolved(currentDate) {
+    return Boolean(loadStats().stats[getStatsDateKey(currentDate)]?.solved);
+}
+
+/**
+ * Load the distinct solutions found for a date.
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @returns {string[]} Share codes of the solutions found, oldest first
+ */
+export function loadFoundSolutions(currentDate) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(getStorageKey(STORAGE_SOLUTIONS)) || '{}');
+        return saved[`${currentDate.monthIndex}-${currentDate.dayNumber}`] || [];
+    } catch (e) {
+        console.error('Failed to load found solutions:', e);
+        return [];
+    }
+}
+
+/**
+ * Record a solution for a date if it has not been found before.
+ * Solutions are stored as share codes, which are identical for identical boards.
+ * @param {CurrentDate} currentDate - Date of the puzzle
+ * @param {string} code - Share code of the solved board
+ * @returns {boolean} True if this is a newly found solution
+ */
+export function addFoundSolution(currentDate, code) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(getStorageKey(STORAGE_SOLUTIONS)) || '{}');
+        const dateKey = `${currentDate.monthIndex}-${currentDate.dayNumber}`;
+        const found = saved[dateKey] || [];
+        if (found.includes(code)) {
+            return false;
+        }
+
+        saved[dateKey] = [...found, code];
+        localStorage.setItem(getStorageKey(STORAGE_SOLUTIONS), JSON.stringify(saved));
+        return true;
+    } catch (e) {
+        console.error('Failed to save found solution:', e);
+        return false;
+    }
+}
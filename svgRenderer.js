@@ -0,0 +1,225 @@
+// svgRenderer.js - SVG rendering for the polyomino calendar game
+// Mirrors drawGrid and drawPiece in renderer.js, but builds an SVG string so boards can be
+// exported as crisp vector images (and rasterized to PNG at any scale).
+
+import { isCurrentDateSquare, SQUARE_TYPE } from './grid.js';
+import { getPiece } from './pieces.js';
+import { getTheme } from './renderer.js';
+import { getPieceColor } from './themes.js';
+import { getPiecePattern, getPatternInk } from './patterns.js';
+
+/**
+ * Escape text for use in SVG markup.
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Size of the whole board image, padding included.
+ * @param {Object} config - { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS }
+ * @returns {{width: number, height: number}} Size in pixels
+ */
+export function getBoardSize(config) {
+    const { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS } = config;
+    return {
+        width: GRID_COLS * SQUARE_SIZE + PADDING * 2,
+        height: GRID_ROWS * SQUARE_SIZE + PADDING * 2
+    };
+}
+
+/**
+ * SVG for the calendar grid, matching drawGrid().
+ * @param {Array} grid - Grid data from gameModel
+ * @param {Object} currentDate - { monthIndex, dayNumber }
+ * @param {Object} config - { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS, theme }
+ * @returns {string} SVG elements
+ */
+export function svgGrid(grid, currentDate, config) {
+    const { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS } = config;
+    const theme = getTheme(config);
+    const parts = [];
+
+    for (let row = 0; row < GRID_ROWS; row++) {
+        for (let col = 0; col < GRID_COLS; col++) {
+            const square = grid[row][col];
+            if (square.type === SQUARE_TYPE.EMPTY) {
+                continue;
+            }
+
+            const x = PADDING + col * SQUARE_SIZE;
+            const y = PADDING + row * SQUARE_SIZE;
+            const isCurrent = isCurrentDateSquare(square, currentDate);
+
+            parts.push(
+                `<rect x="${x}" y="${y}" width="${SQUARE_SIZE}" height="${SQUARE_SIZE}" fill="${isCurrent ? theme.targetFill : theme.squareFill}" stroke="${theme.squareBorder}" stroke-width="1"/>`,
+                `<text x="${x + SQUARE_SIZE / 2}" y="${y + SQUARE_SIZE / 2}" fill="${isCurrent ? theme.targetText : theme.labelText}"` +
+                    ` font-family="sans-serif" font-size="12"${isCurrent ? ' font-weight="bold"' : ''}` +
+                    ` text-anchor="middle" dominant-baseline="central">${escapeXml(square.label)}</text>`
+            );
+        }
+    }
+    return parts.join('\n');
+}
+
+/**
+ * SVG for a piece's pattern marks in one cell, matching drawPatternShapes() in renderer.js.
+ * @param {import('./patterns.js').Pattern} pattern - Pattern to draw
+ * @param {number} x - Cell left edge
+ * @param {number} y - Cell top edge
+ * @param {number} size - Cell size
+ * @param {string} ink - Color for the marks
+ * @returns {string} SVG elements
+ */
+function svgPatternShapes(pattern, x, y, size, ink) {
+    const lineWidth = Math.max(1, size / 18);
+    return pattern.shapes.map(shape => {
+        if (shape.type === 'line') {
+            return `<line x1="${x + shape.x1 * size}" y1="${y + shape.y1 * size}" x2="${x + shape.x2 * size}" y2="${y + shape.y2 * size}" stroke="${ink}" stroke-width="${lineWidth}"/>`;
+        }
+        if (shape.type === 'dot') {
+            return `<circle cx="${x + shape.x * size}" cy="${y + shape.y * size}" r="${shape.r * size}" fill="${ink}"/>`;
+        }
+        return `<text x="${x + shape.x * size}" y="${y + shape.y * size}" fill="${ink}" font-family="sans-serif" font-size="${Math.round(size * 0.45)}"` +
+            ` font-weight="bold" text-anchor="middle" dominant-baseline="central">${escapeXml(shape.text)}</text>`;
+    }).join('\n');
+}
+
+/**
+ * SVG for a single piece, matching drawPiece().
+ * @param {Array} pieceCoords - Piece coordinates
+ * @param {number} startRow - Grid row for origin
+ * @param {number} startCol - Grid column for origin
+ * @param {string} color - Piece color
+ * @param {Object} config - { PADDING, SQUARE_SIZE, theme }
+ * @param {Object} options - { opacity, isHighlighted, isActive, isGhost, pattern }
+ * @returns {string} SVG group
+ */
+export function svgPiece(pieceCoords, startRow, startCol, color, config, options = {}) {
+    const { PADDING, SQUARE_SIZE } = config;
+    const { opacity = 1, isHighlighted = false, isActive = false, isGhost = false, pattern = null } = options;
+    const theme = getTheme(config);
+    const fill = isActive ? theme.activePiece : color;
+
+    // Border style, as in drawPiece()
+    let stroke = `stroke="${theme.pieceBorder}" stroke-width="3"`;
+    if (isActive) {
+        stroke = `stroke="${theme.activeBorder}" stroke-width="3"`;
+    } else if (isHighlighted) {
+        stroke = `stroke="${theme.highlightBorder}" stroke-width="4"`;
+    } else if (isGhost) {
+        stroke = `stroke="${theme.ghostBorder}" stroke-width="2" stroke-dasharray="4 3"`;
+    }
+
+    const parts = [];
+    pieceCoords.forEach(([x, y]) => {
+        const canvasX = PADDING + (startCol + x) * SQUARE_SIZE;
+        const canvasY = PADDING + (startRow + y) * SQUARE_SIZE;
+
+        parts.push(`<rect x="${canvasX}" y="${canvasY}" width="${SQUARE_SIZE}" height="${SQUARE_SIZE}" fill="${fill}"/>`);
+
+        // 3D bevel for placed pieces: light top/left edges, dark bottom/right edges
+        if (!isActive && !isGhost) {
+            parts.push(
+                `<rect x="${canvasX}" y="${canvasY}" width="${SQUARE_SIZE}" height="2" fill="${theme.bevelLight}"/>`,
+                `<rect x="${canvasX}" y="${canvasY}" width="2" height="${SQUARE_SIZE}" fill="${theme.bevelLight}"/>`,
+                `<rect x="${canvasX}" y="${canvasY + SQUARE_SIZE - 2}" width="${SQUARE_SIZE}" height="2" fill="${theme.bevelDark}"/>`,
+                `<rect x="${canvasX + SQUARE_SIZE - 2}" y="${canvasY}" width="2" height="${SQUARE_SIZE}" fill="${theme.bevelDark}"/>`
+            );
+        }
+
+        // Pattern marks so pieces can be told apart without color
+        if (pattern && !isActive) {
+            parts.push(svgPatternShapes(pattern, canvasX, canvasY, SQUARE_SIZE, getPatternInk(color)));
+        }
+
+        parts.push(`<rect x="${canvasX + 0.5}" y="${canvasY + 0.5}" width="${SQUARE_SIZE - 1}" height="${SQUARE_SIZE - 1}" fill="none" ${stroke}/>`);
+
+        // Diagonal pattern for active pieces
+        if (isActive) {
+            for (let i = 0; i < SQUARE_SIZE; i += 4) {
+                parts.push(`<line x1="${canvasX + i}" y1="${canvasY}" x2="${canvasX + i + SQUARE_SIZE}" y2="${canvasY + SQUARE_SIZE}" stroke="${theme.activePattern}" stroke-width="1"/>`);
+            }
+        }
+    });
+
+    return `<g opacity="${opacity}">\n${parts.join('\n')}\n</g>`;
+}
+
+/**
+ * Render a board as a standalone SVG document: the grid and its placed pieces.
+ * Interaction overlays (preview, hint ghost, dead regions) are left out.
+ * @param {Object} gameModel - { grid, placedPieces } (a solution's placedPieces also works)
+ * @param {Object} currentDate - Date to highlight
+ * @param {Object} config - { PADDING, SQUARE_SIZE, GRID_ROWS, GRID_COLS, theme }
+ * @returns {string} SVG markup
+ */
+export function renderSVG(gameModel, currentDate, config) {
+    const { width, height } = getBoardSize(config);
+    const theme = getTheme(config);
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="${theme.background}"/>`,
+        svgGrid(gameModel.grid, currentDate, config)
+    ];
+
+    gameModel.placedPieces.forEach((placement, pieceName) => {
+        const piece = getPiece(pieceName);
+        const coords = piece.orientations[placement.orientationIndex];
+        parts.push(svgPiece(coords, placement.row, placement.col, getPieceColor(theme, pieceName), config, {
+            opacity: 0.8,
+            pattern: config.patterns ? getPiecePattern(pieceName) : null
+        }));
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * Small square swatch of a piece's color (and pattern, if enabled), e.g. for the piece tray.
+ * @param {string} pieceName - Piece name in the active set
+ * @param {number} size - Swatch size in pixels
+ * @param {Object} config - { theme, patterns }
+ * @returns {string} SVG markup
+ */
+export function renderPieceSwatch(pieceName, size, config) {
+    const color = getPieceColor(getTheme(config), pieceName);
+    const pattern = config.patterns ? getPiecePattern(pieceName) : null;
+    const cell = svgPiece([[0, 0]], 0, 0, color, { ...config, PADDING: 0, SQUARE_SIZE: size }, { pattern });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">${cell}</svg>`;
+}
+
+/**
+ * Rasterize SVG markup to a PNG (browser only).
+ * @param {string} svgText - Markup from renderSVG()
+ * @param {{width: number, height: number}} size - Size of the SVG in pixels
+ * @param {number} [scale=1] - Output pixels per SVG pixel
+ * @returns {Promise<Blob>} PNG image
+ */
+export function svgToPngBlob(svgText, size, scale = 1) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+        const image = new Image();
+
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(size.width * scale);
+            canvas.height = Math.round(size.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not load SVG image'));
+        };
+        image.src = url;
+    });
+}
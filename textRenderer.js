@@ -0,0 +1,176 @@
+// textRenderer.js - Plain-text rendering for the polyomino calendar game
+// Draws the same gameModel as renderer.js as a monospaced grid, for the CLI, debug logging
+// and snapshot checks, and describes the board in words for screen readers.
+
+import { SQUARE_TYPE, pieceToGridCoords, isCurrentDateSquare } from './grid.js';
+import { pieces, getPiece } from './pieces.js';
+
+/**
+ * Width of each cell in characters. Fits "[Oct]", the widest target label.
+ */
+export const TEXT_CELL_WIDTH = 5;
+
+/**
+ * Longest piece name shown whole; longer names (RECTANGLE) are shortened.
+ */
+const MAX_PIECE_CODE_LENGTH = 3;
+
+/**
+ * Kinds of text cell
+ */
+export const TEXT_CELL = {
+    EMPTY: 'empty',     // Not part of the board
+    PIECE: 'piece',     // Covered by a placed piece
+    TARGET: 'target',   // Uncovered square of the current date
+    OPEN: 'open'        // Uncovered square still to be filled
+};
+
+/**
+ * @typedef {Object} TextCell
+ * @property {string} kind - One of TEXT_CELL
+ * @property {string} text - Unpadded cell text: piece code, label, or "[label]" for targets
+ * @property {Object} square - Grid square
+ * @property {string|null} pieceName - Piece covering the square, or null
+ */
+
+/**
+ * Map each covered "row,col" key to the name of the piece covering it.
+ * @param {Object} gameModel - The game model
+ * @returns {Map<string, string>}
+ */
+function getSquareOwners(gameModel) {
+    const owners = new Map();
+    gameModel.placedPieces.forEach(({ row, col, orientationIndex }, pieceName) => {
+        const coords = getPiece(pieceName).orientations[orientationIndex];
+        pieceToGridCoords(coords, row, col).forEach(([r, c]) => owners.set(`${r},${c}`, pieceName));
+    });
+    return owners;
+}
+
+/**
+ * Give each piece of the active set a code that fits a cell and no other piece shares:
+ * short names (L, I4) as they are, longer ones their shortest free prefix (RECTANGLE -> R).
+ * @returns {Map<string, string>} Code by piece name
+ */
+export function getPieceCodes() {
+    const names = Object.keys(pieces);
+    const codes = new Map(names
+        .filter(pieceName => pieceName.length <= MAX_PIECE_CODE_LENGTH)
+        .map(pieceName => [pieceName, pieceName]));
+    const used = new Set(codes.values());
+
+    names.filter(pieceName => !codes.has(pieceName)).forEach(pieceName => {
+        let code = [1, 2, 3].map(length => pieceName.slice(0, length)).find(prefix => !used.has(prefix));
+        for (let suffix = 2; !code; suffix++) {
+            code = used.has(`${pieceName[0]}${suffix}`) ? null : `${pieceName[0]}${suffix}`;
+        }
+        codes.set(pieceName, code);
+        used.add(code);
+    });
+    return codes;
+}
+
+/**
+ * Classify every square of the board for text output.
+ * @param {Object} gameModel - The game model
+ * @param {Object} currentDate - Date of the puzzle
+ * @returns {Array<Array<TextCell>>} Cells by row and column
+ */
+export function getTextCells(gameModel, currentDate) {
+    const owners = getSquareOwners(gameModel);
+    const codes = getPieceCodes();
+    return gameModel.grid.map((rowSquares, row) => rowSquares.map((square, col) => {
+        const pieceName = owners.get(`${row},${col}`) || null;
+        if (square.type === SQUARE_TYPE.EMPTY) {
+            return { kind: TEXT_CELL.EMPTY, text: '', square, pieceName };
+        }
+        if (pieceName) {
+            return { kind: TEXT_CELL.PIECE, text: codes.get(pieceName), square, pieceName };
+        }
+        if (isCurrentDateSquare(square, currentDate)) {
+            return { kind: TEXT_CELL.TARGET, text: `[${square.label}]`, square, pieceName };
+        }
+        return { kind: TEXT_CELL.OPEN, text: square.label, square, pieceName };
+    }));
+}
+
+/**
+ * Center text in a cell of TEXT_CELL_WIDTH characters.
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function centerText(text) {
+    const left = Math.floor((TEXT_CELL_WIDTH - text.length) / 2);
+    return text.padStart(text.length + left).padEnd(TEXT_CELL_WIDTH);
+}
+
+/**
+ * Render the board as a monospaced grid: piece codes on covered squares, labels on
+ * open ones and [brackets] around the date squares. Trailing spaces are trimmed.
+ * @param {Object} gameModel - The game model
+ * @param {Object} currentDate - Date of the puzzle
+ * @param {Object} [options] - { styleCell(paddedText, cell) } to decorate cells, e.g. with ANSI colors
+ * @returns {string} Multi-line board
+ */
+export function renderText(gameModel, currentDate, options = {}) {
+    const { styleCell = null } = options;
+    return getTextCells(gameModel, currentDate)
+        .map(rowCells => rowCells
+            .map(cell => (styleCell ? styleCell(centerText(cell.text), cell) : centerText(cell.text)))
+            .join('')
+            .trimEnd())
+        .join('\n');
+}
+
+/**
+ * Describe one cell for a screen reader, e.g. "Mar: covered by N" or "19: today, leave uncovered".
+ * @param {TextCell} cell - Cell from getTextCells()
+ * @returns {string} Description, or '' for squares that are not part of the board
+ */
+export function describeCell(cell) {
+    switch (cell.kind) {
+        case TEXT_CELL.PIECE:
+            return `${cell.square.label}: covered by ${cell.pieceName}`;
+        case TEXT_CELL.TARGET:
+            return `${cell.square.label}: today, leave uncovered`;
+        case TEXT_CELL.OPEN:
+            return `${cell.square.label}: open`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Describe where a placed piece sits, e.g. "N placed covering Mar, Apr, 9, 10, 11".
+ * @param {Object} gameModel - The game model
+ * @param {string} pieceName - A placed piece
+ * @returns {string} Description
+ */
+export function describePlacement(gameModel, pieceName) {
+    const owners = getSquareOwners(gameModel);
+    const labels = gameModel.grid.flatMap((rowSquares, row) => rowSquares
+        .filter((square, col) => owners.get(`${row},${col}`) === pieceName)
+        .map(square => square.label));
+    return `${pieceName} placed covering ${labels.join(', ')}`;
+}
+
+/**
+ * Describe the board in words, for screen readers and logs.
+ * @param {Object} gameModel - The game model
+ * @param {Object} currentDate - Date of the puzzle
+ * @returns {string} e.g. "Target: Oct, 19. Placed: L covers Jan, Feb, Mar, Apr, Jul. 30 squares open."
+ */
+export function describeBoard(gameModel, currentDate) {
+    const cells = getTextCells(gameModel, currentDate).flat();
+    const labelsOf = (predicate) => cells.filter(predicate).map(cell => cell.square.label);
+
+    const sentences = [`Target: ${labelsOf(cell => cell.kind === TEXT_CELL.TARGET).join(', ')}.`];
+
+    const placed = [...gameModel.placedPieces.keys()].map(pieceName =>
+        `${pieceName} covers ${labelsOf(cell => cell.pieceName === pieceName).join(', ')}`);
+    sentences.push(placed.length > 0 ? `Placed: ${placed.join('; ')}.` : 'No pieces placed.');
+
+    const openCount = cells.filter(cell => cell.kind === TEXT_CELL.OPEN).length;
+    sentences.push(openCount === 0 ? 'All squares covered.' : `${openCount} ${openCount === 1 ? 'square' : 'squares'} open.`);
+    return sentences.join(' ');
+}
@@ -0,0 +1,165 @@
+// themes.js - Color themes for the board, pieces and page
+// A theme is passed to the renderers as RenderConfig.theme. Piece colors come from the
+// piece set unless the theme has its own piece palette (high contrast, color-blind safe).
+
+import { pieces, getPiece } from './pieces.js';
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} id - Theme id, saved as the player's choice
+ * @property {string} name - Display name
+ * @property {boolean} isDark - Whether the page around the board should be dark
+ * @property {string} background - Canvas background
+ * @property {string} squareFill - Board square fill
+ * @property {string} squareBorder - Board square border
+ * @property {string} labelText - Month/day label color
+ * @property {string} targetFill - Fill of today's date squares
+ * @property {string} targetText - Label color of today's date squares
+ * @property {string} activePiece - Fill of the piece being placed
+ * @property {string} activeBorder - Border of the piece being placed
+ * @property {string} activePattern - Diagonal stripes on the piece being placed
+ * @property {string} highlightBorder - Border of a placed piece hovered in the tray
+ * @property {string} ghostBorder - Dashed outline of a hint
+ * @property {string} pieceBorder - Border of placed pieces
+ * @property {string} bevelLight - Top/left bevel of placed pieces
+ * @property {string} bevelDark - Bottom/right bevel of placed pieces
+ * @property {string} deadRegionFill - Tint over regions that can no longer be filled
+ * @property {string} deadRegionBorder - Border of those regions
+ * @property {string} validPlacement - Placement indicator color when the piece fits
+ * @property {string} invalidPlacement - Placement indicator color when it does not
+ * @property {string} keyboardCursor - Keyboard cursor outline
+ * @property {string} keyboardCursorHalo - Halo under the keyboard cursor outline
+ * @property {Array<string>|null} piecePalette - Piece colors in piece set order, or null to use the set's colors
+ */
+
+const LIGHT_THEME = {
+    id: 'light',
+    name: 'Light',
+    isDark: false,
+    background: '#f5f5f5',
+    squareFill: '#ffffff',
+    squareBorder: '#cccccc',
+    labelText: '#333',
+    targetFill: '#fff3cd',
+    targetText: '#ff6b6b',
+    activePiece: '#FF6B9D',
+    activeBorder: '#C41E3A',
+    activePattern: 'rgba(196, 30, 58, 0.3)',
+    highlightBorder: '#ff6b6b',
+    ghostBorder: '#333',
+    pieceBorder: 'rgba(0, 0, 0, 0.6)',
+    bevelLight: 'rgba(255, 255, 255, 0.3)',
+    bevelDark: 'rgba(0, 0, 0, 0.3)',
+    deadRegionFill: 'rgba(255, 152, 0, 0.35)',
+    deadRegionBorder: '#E65100',
+    validPlacement: '#4CAF50',
+    invalidPlacement: '#F44336',
+    keyboardCursor: '#1565C0',
+    keyboardCursorHalo: '#ffffff',
+    piecePalette: null
+};
+
+export const THEMES = {
+    light: LIGHT_THEME,
+    dark: {
+        ...LIGHT_THEME,
+        id: 'dark',
+        name: 'Dark',
+        isDark: true,
+        background: '#1e1f26',
+        squareFill: '#2b2d38',
+        squareBorder: '#4a4d5c',
+        labelText: '#d8dae3',
+        targetFill: '#5c4a12',
+        targetText: '#ffd166',
+        ghostBorder: '#e0e0e0',
+        pieceBorder: 'rgba(0, 0, 0, 0.8)',
+        keyboardCursor: '#64B5F6',
+        keyboardCursorHalo: '#1e1f26'
+    },
+    'high-contrast': {
+        ...LIGHT_THEME,
+        id: 'high-contrast',
+        name: 'High contrast',
+        isDark: false,
+        background: '#ffffff',
+        squareFill: '#ffffff',
+        squareBorder: '#000000',
+        labelText: '#000000',
+        targetFill: '#ffff00',
+        targetText: '#000000',
+        activePiece: '#ff00ff',
+        activeBorder: '#000000',
+        activePattern: 'rgba(0, 0, 0, 0.4)',
+        highlightBorder: '#ff00ff',
+        ghostBorder: '#000000',
+        pieceBorder: '#000000',
+        deadRegionFill: 'rgba(255, 140, 0, 0.5)',
+        deadRegionBorder: '#000000',
+        validPlacement: '#008000',
+        invalidPlacement: '#d00000',
+        keyboardCursor: '#0000ff',
+        piecePalette: [
+            '#d00000', '#0040ff', '#008000', '#ff8c00', '#8000c0', '#00a0b0',
+            '#806000', '#ff40a0', '#000080', '#606060', '#00c060', '#a04000'
+        ]
+    },
+    'color-blind': {
+        ...LIGHT_THEME,
+        id: 'color-blind',
+        name: 'Color-blind safe (deuteranopia/protanopia)',
+        isDark: false,
+        targetFill: '#fff3cd',
+        targetText: '#0072B2',
+        activePiece: '#CC79A7',
+        activeBorder: '#000000',
+        activePattern: 'rgba(0, 0, 0, 0.3)',
+        highlightBorder: '#000000',
+        deadRegionFill: 'rgba(230, 159, 0, 0.4)',
+        deadRegionBorder: '#000000',
+        // Blue/orange instead of green/red, which look alike with red-green color blindness
+        validPlacement: '#0072B2',
+        invalidPlacement: '#D55E00',
+        keyboardCursor: '#000000',
+        // Okabe-Ito colors, then Tol's muted colors for sets with more than 8 pieces
+        piecePalette: [
+            '#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00',
+            '#CC79A7', '#000000', '#882255', '#44AA99', '#DDCC77', '#999999'
+        ]
+    }
+};
+
+export const DEFAULT_THEME_ID = 'light';
+
+/**
+ * Theme choice that follows the system light/dark setting
+ */
+export const AUTO_THEME_CHOICE = 'auto';
+
+/**
+ * Resolve a saved theme choice to a theme.
+ * @param {string|null} choice - Theme id, AUTO_THEME_CHOICE, or null for auto
+ * @param {boolean} prefersDark - Whether the system prefers a dark color scheme
+ * @returns {Theme} The theme to use
+ */
+export function resolveTheme(choice, prefersDark) {
+    if (THEMES[choice]) {
+        return THEMES[choice];
+    }
+    return prefersDark ? THEMES.dark : THEMES[DEFAULT_THEME_ID];
+}
+
+/**
+ * Color of a piece in a theme: the theme's palette entry for the piece's position in
+ * the active set, or the piece's own color.
+ * @param {Theme} theme - Active theme
+ * @param {string} pieceName - Piece name in the active set
+ * @returns {string} CSS color
+ */
+export function getPieceColor(theme, pieceName) {
+    if (theme.piecePalette) {
+        const index = Object.keys(pieces).indexOf(pieceName);
+        return theme.piecePalette[index % theme.piecePalette.length];
+    }
+    return getPiece(pieceName).color;
+}
@@ -0,0 +1,86 @@
+// timer.js - Solve timer that can be paused, resumed and persisted
+// Functions take the current time as a parameter so they can be tested without a real clock.
+
+/**
+ * @typedef {Object} Timer
+ * @property {number} elapsedMs - Time accumulated before the current run, in milliseconds
+ * @property {number|null} startedAt - Timestamp the current run started, or null if paused
+ */
+
+/**
+ * Create a paused timer.
+ * @param {number} [elapsedMs=0] - Previously accumulated time (e.g. restored from storage)
+ * @returns {Timer} New timer
+ */
+export function createTimer(elapsedMs = 0) {
+    return { elapsedMs, startedAt: null };
+}
+
+/**
+ * Check if the timer is running.
+ * @param {Timer} timer - The timer
+ * @returns {boolean}
+ */
+export function isTimerRunning(timer) {
+    return timer.startedAt !== null;
+}
+
+/**
+ * Start (or resume) the timer. Does nothing if it is already running.
+ * @param {Timer} timer - The timer
+ * @param {number} [now] - Current timestamp in milliseconds
+ */
+export function startTimer(timer, now = Date.now()) {
+    if (!isTimerRunning(timer)) {
+        timer.startedAt = now;
+    }
+}
+
+/**
+ * Pause the timer, keeping the time accumulated so far.
+ * @param {Timer} timer - The timer
+ * @param {number} [now] - Current timestamp in milliseconds
+ */
+export function pauseTimer(timer, now = Date.now()) {
+    if (isTimerRunning(timer)) {
+        timer.elapsedMs += now - timer.startedAt;
+        timer.startedAt = null;
+    }
+}
+
+/**
+ * Get the total elapsed time.
+ * @param {Timer} timer - The timer
+ * @param {number} [now] - Current timestamp in milliseconds
+ * @returns {number} Elapsed milliseconds
+ */
+export function getElapsedMs(timer, now = Date.now()) {
+    return timer.elapsedMs + (isTimerRunning(timer) ? now - timer.startedAt : 0);
+}
+
+/**
+ * Get the total elapsed time in whole seconds.
+ * @param {Timer} timer - The timer
+ * @param {number} [now] - Current timestamp in milliseconds
+ * @returns {number} Elapsed seconds
+ */
+export function getElapsedSeconds(timer, now = Date.now()) {
+    return Math.floor(getElapsedMs(timer, now) / 1000);
+}
+
+/**
+ * Format seconds as m:ss (or h:mm:ss for an hour or more).
+ * @param {number} totalSeconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+export function formatTime(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const ss = String(seconds).padStart(2, '0');
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${ss}`;
+    }
+    return `${minutes}:${ss}`;
+}
@@ -0,0 +1,63 @@
+// variants.js - Game modes: each pairs a board layout with a piece set and its own storage
+// The classic mode keeps the original storage keys so existing saves and stats carry over.
+
+import { CLASSIC_LAYOUT, WEEKDAY_LAYOUT } from './layouts.js';
+import { PIECE_SETS, setActivePieceSet } from './pieces.js';
+import { setActiveLayout, getSquaresToCoverCount } from './grid.js';
+import { setStorageNamespace } from './storage.js';
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} id - Mode id, used in the ?mode= URL parameter
+ * @property {string} name - Display name
+ * @property {Object} layout - Board layout (see layouts.js)
+ * @property {Object} pieceSet - Named piece set (see PIECE_SETS in pieces.js)
+ * @property {string} storageNamespace - Storage key suffix ('' for the original keys)
+ */
+
+export const VARIANTS = {
+    classic: {
+        id: 'classic',
+        name: 'Classic (month + day)',
+        layout: CLASSIC_LAYOUT,
+        pieceSet: PIECE_SETS.classic,
+        storageNamespace: ''
+    },
+    'tetromino-mix': {
+        id: 'tetromino-mix',
+        name: 'Classic board, tetromino mix',
+        layout: CLASSIC_LAYOUT,
+        pieceSet: PIECE_SETS.tetrominoMix,
+        storageNamespace: 'tetromino-mix'
+    },
+    weekday: {
+        id: 'weekday',
+        name: 'Weekday (month + day + weekday)',
+        layout: WEEKDAY_LAYOUT,
+        pieceSet: PIECE_SETS.weekday,
+        storageNamespace: 'weekday'
+    }
+};
+
+export const DEFAULT_VARIANT_ID = 'classic';
+
+/**
+ * Look up a variant by id, falling back to the default for unknown ids.
+ * @param {string|null} id - Variant id (e.g. from the ?mode= parameter)
+ * @returns {Variant} The variant
+ */
+export function getVariant(id) {
+    return Object.hasOwn(VARIANTS, id) ? VARIANTS[id] : VARIANTS[DEFAULT_VARIANT_ID];
+}
+
+/**
+ * Make a variant the active game: its layout, piece set and storage namespace.
+ * Call before creating the game model.
+ * @param {Variant} variant - Variant to activate
+ * @throws {Error} If the layout or piece set is invalid, or the pieces do not fit the board
+ */
+export function activateVariant(variant) {
+    setActiveLayout(variant.layout);
+    setActivePieceSet(variant.pieceSet, getSquaresToCoverCount());
+    setStorageNamespace(variant.storageNamespace);
+}